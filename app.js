@@ -433,6 +433,10 @@ Rooms.global.formatListText = Rooms.global.getFormatListText();
 
 global.TeamValidator = require('./team-validator.js');
 
+// Tournaments that were running before a restart can only be restored once
+// the formats are loaded
+Tournaments.restoreTournaments();
+
 // load ipbans at our leisure
 fs.readFile('./config/ipbans.txt', function (err, data) {
 	if (err) return;
@@ -467,6 +471,16 @@ fs.readFile('./logs/uptime.txt', function (err, uptime) {
  * Load custom files
  *********************************************************/
 
+global.Economy = require('./economy.js');
+
+global.Shop = require('./shop.js');
+
+global.Inventory = require('./inventory.js');
+
+global.Lottery = require('./lottery.js');
+
+global.Daily = require('./daily.js');
+
 global.Core = require('./core.js').core;
 
 global.Components = require('./components.js');
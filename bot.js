@@ -9,6 +9,8 @@
  * @license MIT license
  */
 
+var io = require('./io.js');
+
 var config = {
     name: 'Lotus Bot',
     userid: function () {
@@ -16,16 +18,9 @@ var config = {
     },
     group: '@',
     join: true,
+    hostSignups: 2, // minutes of signups before a tournament the bot hosts starts
     rooms: ['lobby'],
-    punishvals: {
-        1: 'warn',
-        2: 'mute',
-        3: 'hourmute',
-        4: 'roomban',
-        5: 'ban'
-    },
     privaterooms: ['staff'],
-    hosting: {},
     laddering: true,
     ladderPercentage: 70,
     debug: false
@@ -86,12 +81,588 @@ function joinServer() {
     }
 }
 
-const ACTION_COOLDOWN = 3 * 1000;
-const FLOOD_MESSAGE_NUM = 5;
-const FLOOD_PER_MSG_MIN = 500; // this is the minimum time between messages for legitimate spam. It's used to determine what "flooding" is caused by lag
-const FLOOD_MESSAGE_TIME = 6 * 1000;
-const MIN_CAPS_LENGTH = 18;
-const MIN_CAPS_PROPORTION = 0.8;
+const PUNISHMENTS = ['warn', 'mute', 'hourmute', 'roomban', 'ban'];
+
+/**
+ * The moderation profile every room starts out with. Rooms only store the
+ * settings they've changed, in config/botmoderation.json, along with their
+ * banned phrases.
+ */
+const DEFAULT_PROFILE = {
+    enabled: true,
+    flood: true,
+    caps: true,
+    stretch: true,
+    actionCooldown: 3, // seconds before the same user can be punished again
+    floodMessages: 5,
+    floodTime: 6, // seconds
+    floodMinInterval: 500, // this is the minimum time in ms between messages for legitimate spam. It's used to determine what "flooding" is caused by lag
+    capsLength: 18,
+    capsProportion: 80, // percent
+    stretchLength: 8, // the same character this many times in a row
+    stretchRepeats: 5, // the same group of characters this many times in a row
+    links: false, // links to sites that aren't whitelisted
+    linkWhitelist: ['pokemonshowdown.com', 'smogon.com'],
+    linkPoints: 2,
+    repeat: true, // the same message in several rooms
+    repeatRooms: 3,
+    repeatTime: 60, // seconds
+    repeatPoints: 2,
+    punishments: PUNISHMENTS, // the escalation ladder, by points
+    exempt: '' // ranks the bot leaves alone
+};
+/**
+ * The values each number setting can take. Anything lower would make the bot
+ * punish every message, or never punish anything.
+ */
+const SETTING_LIMITS = {
+    actionCooldown: {min: 1},
+    floodMessages: {min: 2, integer: true},
+    floodTime: {min: 1},
+    floodMinInterval: {min: 1},
+    capsLength: {min: 1, integer: true},
+    capsProportion: {min: 1, max: 100},
+    stretchLength: {min: 2, integer: true},
+    stretchRepeats: {min: 2, integer: true},
+    linkPoints: {min: 1, integer: true},
+    repeatRooms: {min: 2, integer: true},
+    repeatTime: {min: 1},
+    repeatPoints: {min: 1, integer: true}
+};
+const MAX_RECENT_MESSAGES = 20;
+const BLACKLIST_PAGE_SIZE = 20;
+const SEEN_WRITE_INTERVAL = 60 * 1000;
+const SEEN_MAX_AGE = 180 * 24 * 60 * 60 * 1000; // users who haven't been seen for this long are forgotten
+const CUSTOM_COMMAND_COOLDOWN = 10; // seconds
+const MAX_CUSTOM_COMMAND_LENGTH = 300;
+
+var moderation = {
+
+    profiles: io.stdinJSON('botmoderation.json', {}),
+
+    write: io.stdoutJSON('botmoderation.json', function () {
+        return moderation.profiles;
+    }),
+
+    getProfile: function (roomid) {
+        return Object.merge(Object.merge({}, DEFAULT_PROFILE), this.profiles[roomid] || {});
+    },
+
+    getKey: function (key) {
+        key = toId(key);
+        for (var i in DEFAULT_PROFILE) {
+            if (toId(i) === key) return i;
+        }
+    },
+
+    parseValue: function (key, value) {
+        value = value.trim();
+        if (typeof DEFAULT_PROFILE[key] === 'boolean') {
+            if (toId(value) in {on: 1, true: 1, yes: 1}) return true;
+            if (toId(value) in {off: 1, false: 1, no: 1}) return false;
+            return;
+        }
+        if (typeof DEFAULT_PROFILE[key] === 'number') {
+            var limits = SETTING_LIMITS[key];
+            var number = Number(value);
+            if (!value || isNaN(number) || number < limits.min || number > (limits.max || Infinity)) return;
+            if (limits.integer && number % 1 !== 0) return;
+            return number;
+        }
+        if (key === 'punishments') {
+            var punishments = value.toLowerCase().split(/[\s>]+/);
+            if (!punishments[0] || punishments.some(function (punishment) { return PUNISHMENTS.indexOf(punishment) < 0; })) return;
+            return punishments;
+        }
+        if (key === 'linkWhitelist') {
+            if (toId(value) === 'none') return [];
+            var domains = value.toLowerCase().split(/[\s,]+/).map(function (domain) {
+                return domain.replace(/^(https?:\/\/)?(www\.)?/, '').replace(/\/.*$/, '');
+            });
+            if (domains.some(function (domain) { return !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain); })) return;
+            return domains;
+        }
+        if (key === 'exempt') {
+            if (toId(value) === 'none') return '';
+            var ranks = value.replace(/\s/g, '');
+            if (ranks.split('').some(function (rank) { return !Config.groups.bySymbol[rank]; })) return;
+            return ranks;
+        }
+    },
+
+    /**
+     * Changes one setting of a room's profile, or puts it back to the default
+     * if the value is 'default'. Returns the setting's name, or an error code.
+     */
+    setSetting: function (roomid, key, value) {
+        key = this.getKey(key);
+        if (!key) return 'InvalidSetting';
+        if (!this.profiles[roomid]) this.profiles[roomid] = {};
+        if (toId(value) === 'default') {
+            delete this.profiles[roomid][key];
+        } else {
+            value = this.parseValue(key, value);
+            if (value === undefined) return 'InvalidValue';
+            this.profiles[roomid][key] = value;
+        }
+        this.write();
+        return key;
+    },
+
+    reset: function (roomid) {
+        var phrases = this.getPhrases(roomid);
+        delete this.profiles[roomid];
+        if (phrases.length) this.profiles[roomid] = {bannedPhrases: phrases};
+        this.write();
+    },
+
+    getPhrases: function (roomid) {
+        return (this.profiles[roomid] && this.profiles[roomid].bannedPhrases) || [];
+    },
+
+    /**
+     * Phrases written as /.../ are regexes; in any other phrase * matches anything.
+     */
+    isRegexPhrase: function (phrase) {
+        return /^\/.+\/$/.test(phrase.trim());
+    },
+
+    /**
+     * Returns whether the message contains the banned phrase. Phrases that aren't
+     * regexes are matched without one, so they can't take long on any message.
+     */
+    testPhrase: function (phrase, message) {
+        if (this.isRegexPhrase(phrase)) return new RegExp(phrase.trim().slice(1, -1), 'i').test(message);
+        message = message.toLowerCase();
+        var index = 0;
+        return phrase.toLowerCase().split('*').every(function (part) {
+            index = message.indexOf(part, index);
+            if (index < 0) return false;
+            index += part.length;
+            return true;
+        });
+    },
+
+    /**
+     * Bans a phrase in a room. Returns the new entry, or an error code.
+     */
+    addPhrase: function (roomid, phrase, points) {
+        phrase = phrase.trim();
+        if (!phrase.replace(/\*/g, '')) return 'InvalidPhrase';
+        if (this.isRegexPhrase(phrase)) {
+            // a quantified group with a quantifier inside, like (a+)+, can take forever on some messages
+            if (/[+*}][^(]*\)[+*{]/.test(phrase)) return 'UnsafeRegex';
+            try {
+                new RegExp(phrase.slice(1, -1), 'i');
+            } catch (e) {
+                return 'InvalidPhrase';
+            }
+        }
+        var phrases = this.getPhrases(roomid);
+        if (phrases.some(function (entry) { return entry.phrase.toLowerCase() === phrase.toLowerCase(); })) return 'PhraseExists';
+
+        var entry = {phrase: phrase, points: points};
+        if (!this.profiles[roomid]) this.profiles[roomid] = {};
+        this.profiles[roomid].bannedPhrases = phrases.concat(entry);
+        this.write();
+        return entry;
+    },
+
+    removePhrase: function (roomid, phrase) {
+        phrase = phrase.trim().toLowerCase();
+        var phrases = this.getPhrases(roomid);
+        for (var i = 0; i < phrases.length; i++) {
+            if (phrases[i].phrase.toLowerCase() === phrase) {
+                var entry = phrases.splice(i, 1)[0];
+                this.write();
+                return entry;
+            }
+        }
+        return 'PhraseNotFound';
+    },
+
+    /**
+     * Returns the banned phrase worth the most points that is in the message.
+     */
+    matchPhrase: function (roomid, message) {
+        var match = null;
+        this.getPhrases(roomid).forEach(function (entry) {
+            if ((!match || entry.points > match.points) && moderation.testPhrase(entry.phrase, message)) match = entry;
+        });
+        return match;
+    },
+
+    /**
+     * Returns whether the message links to a site that isn't on the whitelist.
+     */
+    hasBannedLink: function (message, whitelist) {
+        var linkRegex = /(?:https?:\/\/|www\.)([a-z0-9-]+(?:\.[a-z0-9-]+)+)/gi;
+        var match, domain;
+        var isAllowed = function (allowed) {
+            return domain === allowed || domain.slice(-allowed.length - 1) === '.' + allowed;
+        };
+        while ((match = linkRegex.exec(message))) {
+            domain = match[1].toLowerCase().replace(/^www\./, '');
+            if (!whitelist.some(isAllowed)) return true;
+        }
+        return false;
+    },
+
+    formatValue: function (key, value) {
+        if (key === 'punishments') return value.join(' > ');
+        if (key === 'linkWhitelist') return value.join(' ') || 'none';
+        if (key === 'exempt') return value || 'none';
+        if (typeof value === 'boolean') return value ? 'on' : 'off';
+        return String(value);
+    },
+
+    describe: function (roomid) {
+        var profile = this.getProfile(roomid);
+        return Object.keys(DEFAULT_PROFILE).map(function (key) {
+            return key + ': ' + moderation.formatValue(key, profile[key]);
+        }).join(', ');
+    },
+
+    getHelp: function (key) {
+        if (key === 'punishments') return 'punishments takes a list of ' + PUNISHMENTS.join(', ') + ', e.g. "warn > mute > hourmute".';
+        if (key === 'exempt') return 'exempt takes the ranks to leave alone, e.g. "%@#&~", or "none".';
+        if (key === 'linkWhitelist') return 'linkWhitelist takes the domains people can link to, e.g. "smogon.com youtube.com", or "none".';
+        if (typeof DEFAULT_PROFILE[key] === 'boolean') return key + ' can be on or off.';
+        var limits = SETTING_LIMITS[key];
+        return key + ' takes a ' + (limits.integer ? 'whole number' : 'number') + ' of at least ' + limits.min + (limits.max ? ' and at most ' + limits.max : '') + '.';
+    }
+
+};
+
+/**
+ * Users that are roombanned as soon as they join a room, kept per room in
+ * config/botblacklist.json as {roomid: {userid: userid of who added them}}.
+ */
+var blacklist = {
+
+    rooms: io.stdinJSON('botblacklist.json', {}),
+
+    write: io.stdoutJSON('botblacklist.json', function () {
+        return blacklist.rooms;
+    }),
+
+    // the room bans enforce added for each blacklisted userid, as {roomid: {userid: {userids, ips}}},
+    // so they can be lifted again. Room bans don't survive a restart, so neither does this.
+    enforced: {},
+
+    get: function (roomid) {
+        return Object.keys(this.rooms[roomid] || {}).sort();
+    },
+
+    add: function (roomid, userid, by) {
+        if (!this.rooms[roomid]) this.rooms[roomid] = {};
+        if (this.rooms[roomid][userid]) return false;
+        this.rooms[roomid][userid] = by;
+        this.write();
+        return true;
+    },
+
+    remove: function (roomid, userid) {
+        if (!this.rooms[roomid] || !this.rooms[roomid][userid]) return false;
+        delete this.rooms[roomid][userid];
+        if (Object.isEmpty(this.rooms[roomid])) delete this.rooms[roomid];
+        this.write();
+        return true;
+    },
+
+    /**
+     * Returns the blacklisted userid the user is going by, went by earlier or
+     * shares an IP with, if there is one.
+     */
+    check: function (roomid, user) {
+        var list = this.rooms[roomid];
+        if (!list) return;
+        var userids = [user.userid, user.autoconfirmed].concat(Object.keys(user.prevNames), user.getAlts().map(toId));
+        for (var i = 0; i < userids.length; i++) {
+            if (userids[i] && list[userids[i]]) return userids[i];
+        }
+    },
+
+    /**
+     * Has the bot roomban a blacklisted user. The bans are recorded under the
+     * blacklisted userid, which is looked up if it isn't given. Returns whether
+     * it tried to.
+     */
+    enforce: function (room, user, userid) {
+        var bot = Users.get(config.name);
+        if (!bot || user === bot || !room.bannedUsers) return false;
+        userid = userid || this.check(room.id, user);
+        if (!userid) return false;
+        var bannedUsers = Object.clone(room.bannedUsers);
+        var bannedIps = Object.clone(room.bannedIps);
+        CommandParser.parse('/roomban ' + user.userid + ', Blacklisted user' + (userid !== user.userid ? ' (' + userid + ')' : ''), room, bot, bot.connections[0]);
+
+        if (!this.enforced[room.id]) this.enforced[room.id] = {};
+        var record = this.enforced[room.id][userid] || (this.enforced[room.id][userid] = {userids: {}, ips: {}});
+        Object.keys(room.bannedUsers).forEach(function (bannedId) {
+            if (!bannedUsers[bannedId]) record.userids[bannedId] = 1;
+        });
+        Object.keys(room.bannedIps).forEach(function (ip) {
+            if (!bannedIps[ip]) record.ips[ip] = 1;
+        });
+        return true;
+    },
+
+    /**
+     * Takes back the room bans enforce added for a blacklisted userid, whether
+     * or not its user is online.
+     */
+    lift: function (room, userid) {
+        if (room.bannedUsers) delete room.bannedUsers[userid];
+        var record = this.enforced[room.id] && this.enforced[room.id][userid];
+        if (!record) return;
+        delete this.enforced[room.id][userid];
+        if (!room.bannedUsers || !room.bannedIps) return;
+        Object.keys(record.userids).forEach(function (bannedId) {
+            delete room.bannedUsers[bannedId];
+        });
+        Object.keys(record.ips).forEach(function (ip) {
+            delete room.bannedIps[ip];
+        });
+    }
+
+};
+
+// After a hotpatch the old seen data has to be saved before it's read back, since it's only written once in a while
+if (global.Bot && Bot.seen && Bot.seen.flush) Bot.seen.flush();
+
+/**
+ * When every user was last seen in a public room, and their last battle,
+ * kept in config/botseen.json as {userid: {name, autoconfirmed, time, action,
+ * room, battle: {room, format, time}}}. Users are seen all the time, so the
+ * file is written at most once every SEEN_WRITE_INTERVAL, and when the
+ * process exits.
+ */
+var seen = {
+
+    users: io.stdinJSON('botseen.json', {}),
+
+    // the userids of every entry, by their autoconfirmed identity: {identity: {userid: 1}}
+    identities: {},
+
+    writeTimer: null,
+
+    writeFile: io.stdoutJSON('botseen.json', function () {
+        return seen.users;
+    }),
+
+    write: function () {
+        if (this.writeTimer) return;
+        this.writeTimer = setTimeout(function () {
+            seen.writeTimer = null;
+            seen.prune();
+            seen.writeFile();
+        }, SEEN_WRITE_INTERVAL);
+    },
+
+    flush: function () {
+        if (!this.writeTimer) return;
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+        this.writeFile.sync();
+    },
+
+    addToIndex: function (userid) {
+        var identity = this.users[userid].autoconfirmed || userid;
+        if (!this.identities[identity]) this.identities[identity] = {};
+        this.identities[identity][userid] = 1;
+    },
+
+    removeFromIndex: function (userid) {
+        var identity = this.users[userid].autoconfirmed || userid;
+        if (!this.identities[identity]) return;
+        delete this.identities[identity][userid];
+        if (Object.isEmpty(this.identities[identity])) delete this.identities[identity];
+    },
+
+    /**
+     * Forgets the users who haven't chatted, moved or battled in SEEN_MAX_AGE.
+     */
+    prune: function () {
+        var now = Date.now();
+        for (var userid in this.users) {
+            var entry = this.users[userid];
+            if (now - Math.max(entry.time || 0, (entry.battle && entry.battle.time) || 0) < SEEN_MAX_AGE) continue;
+            this.removeFromIndex(userid);
+            delete this.users[userid];
+        }
+    },
+
+    isPublicRoom: function (room) {
+        return room.type === 'chat' && !room.isPrivate && !room.staffRoom && config.privaterooms.indexOf(room.id) < 0;
+    },
+
+    getEntry: function (user) {
+        var entry = this.users[user.userid];
+        if (!entry) {
+            entry = this.users[user.userid] = {};
+        } else if (user.autoconfirmed && entry.autoconfirmed !== user.autoconfirmed) {
+            this.removeFromIndex(user.userid);
+        }
+        entry.name = user.name;
+        if (user.autoconfirmed) entry.autoconfirmed = user.autoconfirmed;
+        this.addToIndex(user.userid);
+        return entry;
+    },
+
+    /**
+     * Records what a user just did in a room: 'chat', 'join', 'leave' or
+     * 'rename'. Guests and private rooms aren't tracked.
+     */
+    update: function (user, action, room) {
+        if (!user.named || user.userid === config.userid() || !this.isPublicRoom(room)) return;
+        var entry = this.getEntry(user);
+        entry.time = Date.now();
+        entry.action = action;
+        entry.room = room.id;
+        this.write();
+    },
+
+    updateBattle: function (user, room) {
+        if (!user.named || user.userid === config.userid()) return;
+        this.getEntry(user).battle = {room: room.id, format: room.format, time: Date.now()};
+        this.write();
+    },
+
+    /**
+     * Merges the entries of a user and every name that shares their
+     * autoconfirmed identity into one, with the most recent activity and
+     * battle of them all. Returns null if none of them were ever seen.
+     */
+    get: function (userid) {
+        var identity = (this.users[userid] && this.users[userid].autoconfirmed) || userid;
+        var merged = {names: [], time: 0, battle: null};
+        var userids = Object.merge({}, this.identities[identity] || {});
+        if (this.users[userid]) userids[userid] = 1;
+        for (var i in userids) {
+            var entry = this.users[i];
+            merged.names.push(entry.name);
+            if (entry.time > merged.time) {
+                merged.name = entry.name;
+                merged.time = entry.time;
+                merged.action = entry.action;
+                merged.room = entry.room;
+            }
+            if (entry.battle && (!merged.battle || entry.battle.time > merged.battle.time)) merged.battle = entry.battle;
+        }
+        return merged.names.length ? merged : null;
+    }
+
+};
+
+Object.keys(seen.users).forEach(seen.addToIndex, seen);
+seen.prune();
+
+// Seen data waiting for its next write would be lost when the server is stopped.
+// This is only set up once, since the listener always flushes the current Bot.
+if (!global.Bot) {
+    process.once('exit', function () {
+        if (global.Bot && Bot.seen && Bot.seen.flush) Bot.seen.flush();
+    });
+    ['SIGINT', 'SIGTERM'].forEach(function (signal) {
+        process.once(signal, function () {
+            process.exit();
+        });
+    });
+}
+
+/**
+ * Canned replies rooms set up for themselves, kept in config/botcommands.json
+ * as {roomid: {name: {response, rank, cooldown, by}}}. Responses can use
+ * {user}, {room} and {args}, which are filled in every time they're used.
+ */
+var customCommands = {
+
+    rooms: io.stdinJSON('botcommands.json', {}),
+
+    write: io.stdoutJSON('botcommands.json', function () {
+        return customCommands.rooms;
+    }),
+
+    // when each command was last used, by roomid and name
+    lastUsed: {},
+
+    get: function (roomid, name) {
+        var roomCommands = this.rooms[roomid];
+        return roomCommands && roomCommands.hasOwnProperty(name) ? roomCommands[name] : null;
+    },
+
+    list: function (roomid) {
+        return Object.keys(this.rooms[roomid] || {}).sort();
+    },
+
+    /**
+     * Adds a command to a room, or changes the one it already has. Returns
+     * the command, or an error code.
+     */
+    add: function (roomid, name, response, rank, cooldown, by) {
+        name = toId(name);
+        response = response.trim();
+        if (!name || name.length > 20) return 'InvalidName';
+        if (commands.hasOwnProperty(name)) return 'BuiltInCommand';
+        if (!response) return 'EmptyResponse';
+        if (response.length > MAX_CUSTOM_COMMAND_LENGTH) return 'ResponseTooLong';
+        if (rank && !Config.groups.bySymbol[rank]) return 'InvalidRank';
+        if (typeof cooldown !== 'number' || isNaN(cooldown) || cooldown < 0) return 'InvalidCooldown';
+
+        if (!this.rooms[roomid]) this.rooms[roomid] = {};
+        var entry = this.rooms[roomid][name] = {response: response, rank: rank || '', cooldown: cooldown, by: by};
+        this.write();
+        return entry;
+    },
+
+    remove: function (roomid, name) {
+        name = toId(name);
+        if (!this.get(roomid, name)) return 'CommandNotFound';
+        delete this.rooms[roomid][name];
+        if (Object.isEmpty(this.rooms[roomid])) delete this.rooms[roomid];
+        this.write();
+    },
+
+    /**
+     * Whether the user's global or room rank is at least the given one.
+     */
+    hasRank: function (user, room, rank) {
+        if (!rank) return true;
+        var groups = Config.groups.bySymbol;
+        var roomGroup = room.auth && room.auth[user.userid];
+        var userRank = Math.max(groups[user.group] ? groups[user.group].rank : 0, roomGroup && groups[roomGroup] ? groups[roomGroup].rank : 0);
+        return userRank >= groups[rank].rank;
+    },
+
+    /**
+     * Starts the command's cooldown, unless it is still cooling down from the
+     * last time it was used, in which case it returns false.
+     */
+    use: function (roomid, name, entry) {
+        var key = roomid + ':' + name;
+        var now = Date.now();
+        if (now - (this.lastUsed[key] || 0) < entry.cooldown * 1000) return false;
+        this.lastUsed[key] = now;
+        return true;
+    },
+
+    fill: function (entry, user, room, args) {
+        var values = {user: user.name, room: room.title, args: args.trim()};
+        // a response never gets to start with a slash, or it could look like a command
+        return entry.response.replace(/\{(user|room|args)\}/g, function (match, key) {
+            return values[key];
+        }).replace(/^\/+/, '');
+    },
+
+    describe: function (name, entry) {
+        var details = [];
+        if (entry.rank) details.push(entry.rank + ' and up');
+        if (entry.cooldown !== CUSTOM_COMMAND_COOLDOWN) details.push(entry.cooldown + 's cooldown');
+        return '.' + name + (details.length ? ' (' + details.join(', ') + ')' : '');
+    }
+
+};
 
 var parse = {
 
@@ -103,12 +674,10 @@ var parse = {
         if (cmds) return false;
 
         message = message.trim().replace(/ +/g, " "); // removes extra spaces so it doesn't trigger stretching
-        this.updateSeen(user.userid, 'c', room.title);
+        seen.update(user, 'chat', room);
         var time = Date.now();
         if (!this.chatData[user]) this.chatData[user] = {
-            zeroTol: 0,
-            lastSeen: '',
-            seenAt: time
+            zeroTol: 0
         };
         if (!this.chatData[user][room]) this.chatData[user][room] = {
             times: [],
@@ -118,11 +687,16 @@ var parse = {
 
         this.chatData[user][room].times.push(time);
 
+        var profile = moderation.getProfile(room.id);
+        var roomGroup = room.auth && room.auth[user.userid];
+        if (!profile.enabled || profile.exempt.indexOf(user.group) >= 0 || (roomGroup && profile.exempt.indexOf(roomGroup) >= 0)) return true;
+
         var pointVal = 0;
         var muteMessage = '';
 
         // moderation for flooding (more than x lines in y seconds)
-        var isFlooding = (this.chatData[user][room].times.length >= FLOOD_MESSAGE_NUM && (time - this.chatData[user][room].times[this.chatData[user][room].times.length - FLOOD_MESSAGE_NUM]) < FLOOD_MESSAGE_TIME && (time - this.chatData[user][room].times[this.chatData[user][room].times.length - FLOOD_MESSAGE_NUM]) > (FLOOD_PER_MSG_MIN * FLOOD_MESSAGE_NUM));
+        var floodStart = this.chatData[user][room].times[this.chatData[user][room].times.length - profile.floodMessages];
+        var isFlooding = profile.flood && this.chatData[user][room].times.length >= profile.floodMessages && (time - floodStart) < profile.floodTime * 1000 && (time - floodStart) > (profile.floodMinInterval * profile.floodMessages);
         if (isFlooding) {
             if (pointVal < 2) {
                 pointVal = 2;
@@ -130,30 +704,66 @@ var parse = {
             }
         }
         // moderation for caps (over x% of the letters in a line of y characters are capital)
-        var capsMatch = message.replace(/[^A-Za-z]/g, '').match(/[A-Z]/g);
-        if (capsMatch && toId(message).length > MIN_CAPS_LENGTH && (capsMatch.length >= Math.floor(toId(message).length * MIN_CAPS_PROPORTION))) {
+        var capsMatch = profile.caps && message.replace(/[^A-Za-z]/g, '').match(/[A-Z]/g);
+        if (capsMatch && toId(message).length > profile.capsLength && (capsMatch.length >= Math.floor(toId(message).length * profile.capsProportion / 100))) {
             if (pointVal < 1) {
                 pointVal = 1;
                 muteMessage = ', caps';
             }
         }
         // moderation for stretching (over x consecutive characters in the message are the same)
-        var stretchMatch = message.toLowerCase().match(/(.)\1{7,}/g) || message.toLowerCase().match(/(..+)\1{4,}/g); // matches the same character (or group of characters) 8 (or 5) or more times in a row
+        // matches the same character (or group of characters) stretchLength (or stretchRepeats) or more times in a row
+        var stretchMatch = profile.stretch && (message.toLowerCase().match(new RegExp('(.)\\1{' + Math.max(profile.stretchLength - 1, 1) + ',}', 'g')) ||
+            message.toLowerCase().match(new RegExp('(..+)\\1{' + Math.max(profile.stretchRepeats - 1, 1) + ',}', 'g')));
         if (stretchMatch) {
             if (pointVal < 1) {
                 pointVal = 1;
                 muteMessage = ', stretching';
             }
         }
-        if (pointVal > 0 && !(time - this.chatData[user][room].lastAction < ACTION_COOLDOWN)) {
-            var cmd = 'mute';
-            // defaults to the next punishment in config.punishVals instead of repeating the same action (so a second warn-worthy
+        // messages with banned phrases or links are never shown, even when their sender isn't punished again
+        var isHidden = false;
+        // moderation for the room's banned phrases, which are worth as many points as they were given
+        var phrase = moderation.matchPhrase(room.id, message);
+        if (phrase) {
+            isHidden = true;
+            if (pointVal < phrase.points) {
+                pointVal = phrase.points;
+                muteMessage = ', banned phrase';
+            }
+        }
+        // moderation for links to sites that aren't whitelisted
+        if (profile.links && moderation.hasBannedLink(message, profile.linkWhitelist)) {
+            isHidden = true;
+            if (pointVal < profile.linkPoints) {
+                pointVal = profile.linkPoints;
+                muteMessage = ', unapproved link';
+            }
+        }
+        // moderation for sending the same message in several rooms (at least x rooms in y seconds)
+        var recentMessages = this.chatData[user].recentMessages = (this.chatData[user].recentMessages || []).filter(function (recent) {
+            return time - recent.time < profile.repeatTime * 1000;
+        }).concat({text: toId(message), room: room.id, time: time}).slice(-MAX_RECENT_MESSAGES);
+        var repeatRooms = {};
+        recentMessages.forEach(function (recent) {
+            if (recent.text === toId(message)) repeatRooms[recent.room] = 1;
+        });
+        if (profile.repeat && toId(message) && Object.keys(repeatRooms).length >= profile.repeatRooms) {
+            if (pointVal < profile.repeatPoints) {
+                pointVal = profile.repeatPoints;
+                muteMessage = ', repeating messages across rooms';
+            }
+        }
+        if (pointVal > 0 && !(time - this.chatData[user][room].lastAction < profile.actionCooldown * 1000)) {
+            // past the end of the room's ladder, its harshest punishment is repeated
+            var cmd = profile.punishments[profile.punishments.length - 1];
+            // defaults to the next punishment in the room's punishments instead of repeating the same action (so a second warn-worthy
             // offence would result in a mute instead of a warn, and the third an hourmute, etc)
             if (this.chatData[user][room].points >= pointVal && pointVal < 4) {
                 this.chatData[user][room].points++;
-                cmd = config.punishvals[this.chatData[user][room].points] || cmd;
+                cmd = profile.punishments[this.chatData[user][room].points - 1] || cmd;
             } else { // if the action hasn't been done before (is worth more points) it will be the one picked
-                cmd = config.punishvals[pointVal] || cmd;
+                cmd = profile.punishments[pointVal - 1] || cmd;
                 this.chatData[user][room].points = pointVal; // next action will be one level higher than this one (in most cases)
             }
             if (config.privaterooms.indexOf(room) >= 0 && cmd === 'warn') cmd = 'mute'; // can't warn in private rooms
@@ -165,35 +775,12 @@ var parse = {
             }
             if (this.chatData[user][room].points >= 2) this.chatData[user].zeroTol++; // getting muted or higher increases your zero tolerance level (warns do not)
             this.chatData[user][room].lastAction = time;
-            room.add('|c|' + user.group + user.name + '|' + message);
+            if (!isHidden) room.add('|c|' + user.group + user.name + '|' + message);
             CommandParser.parse(('/' + cmd + ' ' + user.userid + muteMessage), room, Users.get(config.name), Users.get(config.name).connections[0]);
             return false;
         }
 
-        return true;
-    },
-
-    updateSeen: function (user, type, detail) {
-        user = toId(user);
-        type = toId(type);
-        if (type in {j: 1, l: 1, c: 1} && (config.rooms.indexOf(toId(detail)) === -1 || config.privaterooms.indexOf(toId(detail)) > -1)) return;
-        var time = Date.now();
-        if (!this.chatData[user]) this.chatData[user] = {
-            zeroTol: 0,
-            lastSeen: '',
-            seenAt: time
-        };
-        if (!detail) return;
-        var msg = '';
-        if (type in {j: 1, l: 1, c: 1}) {
-            msg += (type === 'j' ? 'joining' : (type === 'l' ? 'leaving' : 'chatting in')) + ' ' + detail.trim() + '.';
-        } else if (type === 'n') {
-            msg += 'changing nick to ' + ('+%@&#~'.indexOf(detail.trim().charAt(0)) === -1 ? detail.trim() : detail.trim().substr(1)) + '.';
-        }
-        if (msg) {
-            this.chatData[user].lastSeen = msg;
-            this.chatData[user].seenAt = time;
-        }
+        return !isHidden;
     },
 
     processBotCommands: function (user, room, connection, message) {
@@ -214,7 +801,8 @@ var parse = {
         }
         cmd = cmd.toLowerCase();
 
-        if ((message.charAt(0) === '.' && Object.keys(Bot.commands).join(' ').toString().indexOf(cmd) >= 0 && message.substr(1) !== '') && !Bot.config.debug) {
+        // only built-in commands share this cooldown; custom commands have their own
+        if (commands.hasOwnProperty(cmd) && !Bot.config.debug) {
 
             if ((now - user.lastBotCmd) * 0.001 < 30) {
                 connection.sendTo(room, 'Please wait ' + Math.floor((30 - (now - user.lastBotCmd) * 0.001)) + ' seconds until the next command.');
@@ -252,6 +840,19 @@ var parse = {
             if (typeof commands[cmd] === 'function') {
                 commands[cmd].call(context, target, room, user, connection, cmd, message);
             }
+        } else if (customCommands.get(room.id, cmd)) {
+            var customCommand = customCommands.get(room.id, cmd);
+            if (!customCommands.hasRank(user, room, customCommand.rank)) {
+                setTimeout(function () {
+                    connection.sendTo(room, '.' + cmd + ' - Access denied.');
+                }, botDelay);
+                return;
+            }
+            if (!customCommands.use(room.id, cmd, customCommand)) return;
+            var response = customCommands.fill(customCommand, user, room, target);
+            setTimeout(function () {
+                room.add('|c|' + config.group + config.name + '|' + response);
+            }, botDelay);
         }
     },
 
@@ -291,6 +892,104 @@ var commands = {
         this.sendReply('List of bot commands: ' + commands);
     },
 
+    modsettings: function (target, room, user, connection) {
+        if (!user.can('declare', null, room)) return connection.sendTo(room, '.modsettings - Access denied.');
+        if (!target) return this.sendPm('Moderation settings for ' + room.title + ': ' + moderation.describe(room.id));
+        if (toId(target) === 'reset') {
+            moderation.reset(room.id);
+            return this.sendReply('The moderation settings of this room are back to the defaults.');
+        }
+
+        var parts = target.split(',');
+        var key = moderation.setSetting(room.id, parts[0], parts.slice(1).join(','));
+        if (key === 'InvalidSetting') return this.sendPm('Correct Syntax: .modsettings [setting], [value] - settings: ' + Object.keys(DEFAULT_PROFILE).join(', '));
+        if (key === 'InvalidValue') return this.sendPm(moderation.getHelp(moderation.getKey(parts[0])));
+        this.sendReply('Moderation setting ' + key + ' is now ' + moderation.formatValue(key, moderation.getProfile(room.id)[key]) + '.');
+    },
+
+    banphrase: function (target, room, user, connection) {
+        if (!user.can('mute', null, room)) return connection.sendTo(room, '.banphrase - Access denied.');
+        var spaceIndex = target.indexOf(' ');
+        var action = toId(spaceIndex > 0 ? target.substr(0, spaceIndex) : target);
+        var phrase = spaceIndex > 0 ? target.substr(spaceIndex + 1) : '';
+        var entry;
+
+        if (action === 'list') {
+            var phrases = moderation.getPhrases(room.id);
+            if (!phrases.length) return this.sendPm('No phrases are banned in ' + room.title + '.');
+            return this.sendPm('Banned phrases in ' + room.title + ': ' + phrases.map(function (entry) {
+                return '"' + entry.phrase + '" (' + entry.points + ')';
+            }).join(', '));
+        }
+        if (action === 'add' && phrase) {
+            // an optional point value goes after the last comma
+            var points = 2;
+            var commaIndex = phrase.lastIndexOf(',');
+            if (commaIndex > 0 && /^\s*\d+\s*$/.test(phrase.substr(commaIndex + 1))) {
+                points = Number(phrase.substr(commaIndex + 1));
+                phrase = phrase.substr(0, commaIndex);
+            }
+            if (points < 1) return this.sendPm('A banned phrase has to be worth at least 1 point.');
+            if (moderation.isRegexPhrase(phrase) && !user.can('hotpatch')) return this.sendPm('Only administrators can ban regexes. Use * for anything instead.');
+            entry = moderation.addPhrase(room.id, phrase, points);
+            if (entry === 'InvalidPhrase') return this.sendPm('That isn\'t a valid phrase or regex.');
+            if (entry === 'UnsafeRegex') return this.sendPm('That regex could take too long to check. Nested quantifiers like (a+)+ aren\'t allowed.');
+            if (entry === 'PhraseExists') return this.sendPm('That phrase is already banned here.');
+            return this.sendPm('"' + entry.phrase + '" is now banned in ' + room.title + ' (' + entry.points + ' points).');
+        }
+        if (action === 'remove' && phrase) {
+            entry = moderation.removePhrase(room.id, phrase);
+            if (entry === 'PhraseNotFound') return this.sendPm('That phrase isn\'t banned here.');
+            return this.sendPm('"' + entry.phrase + '" is no longer banned in ' + room.title + '.');
+        }
+        this.sendPm('Correct Syntax: .banphrase add [phrase, * for anything or /regex/ for administrators], [points] - .banphrase remove [phrase] - .banphrase list');
+    },
+
+    addcom: function (target, room, user, connection) {
+        if (!user.can('declare', null, room)) return connection.sendTo(room, '.addcom - Access denied.');
+        var parts = target.split(',');
+        if (parts.length < 2) return this.sendPm('Correct Syntax: .addcom [name], [response, can use {user}, {room} and {args}], [rank=symbol], [cooldown=seconds]');
+
+        // options go at the end, so that responses can have commas in them
+        var rank = '';
+        var cooldown = CUSTOM_COMMAND_COOLDOWN;
+        var match;
+        while (parts.length > 2 && (match = /^\s*(rank|cooldown)\s*=\s*(\S*)\s*$/i.exec(parts[parts.length - 1]))) {
+            if (match[1].toLowerCase() === 'rank') {
+                rank = match[2];
+            } else {
+                cooldown = match[2] ? Number(match[2]) : NaN;
+            }
+            parts.pop();
+        }
+
+        var name = toId(parts[0]);
+        var isChanged = !!customCommands.get(room.id, name);
+        var entry = customCommands.add(room.id, name, parts.slice(1).join(','), rank, cooldown, user.userid);
+        if (entry === 'InvalidName') return this.sendPm('Command names have to be between 1 and 20 letters or numbers long.');
+        if (entry === 'BuiltInCommand') return this.sendPm('.' + name + ' is already one of the bot\'s own commands.');
+        if (entry === 'EmptyResponse') return this.sendPm('The command needs a response.');
+        if (entry === 'ResponseTooLong') return this.sendPm('Responses can\'t be longer than ' + MAX_CUSTOM_COMMAND_LENGTH + ' characters.');
+        if (entry === 'InvalidRank') return this.sendPm('"' + rank + '" isn\'t a rank.');
+        if (entry === 'InvalidCooldown') return this.sendPm('The cooldown has to be a number of seconds.');
+        this.sendPm('The command ' + customCommands.describe(name, entry) + ' was ' + (isChanged ? 'changed' : 'added') + ' in ' + room.title + '.');
+    },
+
+    delcom: function (target, room, user, connection) {
+        if (!user.can('declare', null, room)) return connection.sendTo(room, '.delcom - Access denied.');
+        if (!toId(target)) return this.sendPm('Correct Syntax: .delcom [name]');
+        if (customCommands.remove(room.id, target) === 'CommandNotFound') return this.sendPm(room.title + ' has no command called .' + toId(target) + '.');
+        this.sendPm('The command .' + toId(target) + ' was removed from ' + room.title + '.');
+    },
+
+    listcoms: function (target, room, user) {
+        var names = customCommands.list(room.id);
+        if (!names.length) return this.sendPm(room.title + ' has no commands of its own.');
+        this.sendPm('Commands in ' + room.title + ': ' + names.map(function (name) {
+            return customCommands.describe(name, customCommands.get(room.id, name));
+        }).join(', '));
+    },
+
     say: function (target, room, user) {
         if (!this.can('say')) return;
         this.sendReply(target);
@@ -311,10 +1010,17 @@ var commands = {
     seen: function (target, room, user, connection) {
         if (!target) return;
         if (!toId(target) || toId(target).length > 18) return connection.sendTo(room, 'Invalid username.');
-        if (!parse.chatData[toId(target)] || !parse.chatData[toId(target)].lastSeen) {
-            return this.sendPm('The user ' + target.trim() + ' has never been seen chatting in rooms.');
+        var merged = seen.get(toId(target));
+        if (!merged) return this.sendPm('The user ' + target.trim() + ' has never been seen.');
+        var actions = {chat: 'chatting in', join: 'joining', leave: 'leaving', rename: 'changing nick in'};
+        var text = merged.time ? ' was last seen ' + parse.getTimeAgo(merged.time) + ' ago as ' + merged.name + ', ' + actions[merged.action] + ' ' + merged.room + '.' :
+            ' has never been seen in a public room.';
+        if (merged.battle) {
+            text += ' Their last battle was ' + merged.battle.room + ' (' + (Tools.getFormat(merged.battle.format).name || merged.battle.format) + '), ' +
+                parse.getTimeAgo(merged.battle.time) + ' ago.';
         }
-        return this.sendPm(target.trim() + ' was last seen ' + parse.getTimeAgo(parse.chatData[toId(target)].seenAt) + ' ago, ' + parse.chatData[toId(target)].lastSeen);
+        if (merged.names.length > 1) text += ' Also seen as: ' + merged.names.join(', ') + '.';
+        return this.sendPm(target.trim() + text);
     },
 
     salt: function (target, room, user) {
@@ -322,104 +1028,82 @@ var commands = {
         salt++;
         this.sendReply(salt + '% salty.');
     },
-    
-    /*blacklist: 'autoban',
-	ban: 'autoban',
-	ab: 'autoban',
-	autoban: function(target, room, user) {
-		if (!this.canUse('autoban') || room.charAt(0) === ',') return false;
-		if (!this.hasRank(this.ranks || ' ', '@&~')) return connection.sendTo(room, 'Crimson Bot requires rank of @ or higher to (un)blacklist.');
-
-		arg = arg.split(',');
-		var added = [];
-		var illegalNick = [];
-		var alreadyAdded = [];
-		if (!arg.length || (arg.length === 1 && !arg[0].trim().length)) return connection.sendTo(room, 'You must specify at least one user to blacklist.');
-		for (var i = 0; i < arg.length; i++) {
-			var tarUser = toId(arg[i]);
-			if (tarUser.length < 1 || tarUser.length > 18) {
-				illegalNick.push(tarUser);
-				continue;
-			}
-			if (!this.blacklistUser(tarUser, room)) {
-				alreadyAdded.push(tarUser);
-				continue;
-			}
-			this.say(room, '/ban ' + tarUser + ', Blacklisted user');
-			this.say(room, '/modnote ' + tarUser + ' was added to the blacklist by ' + by + '.');
-			added.push(tarUser);
-		}
-
-		var text = '';
-		if (added.length) {
-			text += 'User(s) "' + added.join('", "') + '" added to blacklist successfully. ';
-			this.writeSettings();
-		}
-		if (alreadyAdded.length) text += 'User(s) "' + alreadyAdded.join('", "') + '" already present in blacklist. ';
-		if (illegalNick.length) text += 'All ' + (text.length ? 'other ' : '') + 'users had illegal nicks and were not blacklisted.';
-		this.connection.sendTo(room, text);
-	},
-	
-	unblacklist: 'unautoban',
-	unban: 'unautoban',
-	unab: 'unautoban',
-	unautoban: function(arg, by, room, con) {
-		if (!this.canUse('autoban') || room.charAt(0) === ',') return false;
-		if (!this.hasRank(this.ranks || ' ', '@&~')) return connection.sendTo(room, 'Crimson Bot requires rank of @ or higher to (un)blacklist.');
-
-		arg = arg.split(',');
-		var removed = [];
-		var notRemoved = [];
-		if (!arg.length || (arg.length === 1 && !arg[0].trim().length)) return connection.sendTo(room, 'You must specify at least one user to unblacklist.');
-		for (var i = 0; i < arg.length; i++) {
-			var tarUser = toId(arg[i]);
-			if (tarUser.length < 1 || tarUser.length > 18) {
-				notRemoved.push(tarUser);
-				continue;
-			}
-			if (!this.unblacklistUser(tarUser, room)) {
-				notRemoved.push(tarUser);
-				continue;
-			}
-			this.say(room, '/unban ' + tarUser);
-			removed.push(tarUser);
-		}
-
-		var text = '';
-		if (removed.length) {
-			text += 'User(s) "' + removed.join('", "') + '" removed from blacklist successfully. ';
-			this.writeSettings();
-		}
-		if (notRemoved.length) text += (text.length ? 'No other ' : 'No ') + 'specified users were present in the blacklist.';
-		this.say(room, text);
-	},
-	
-	viewbans: 'viewblacklist',
-	vab: 'viewblacklist',
-	viewautobans: 'viewblacklist',
-	viewblacklist: function(arg, by, room, con) {
-		if (!this.canUse('autoban') || room.charAt(0) === ',') return false;
-
-		var text = '';
-		if (!this.settings.blacklist || !this.settings.blacklist) {
-			text = 'No users are blacklisted in the server.';
-		} else {
-			if (arg.length) {
-				var nick = toId(arg);
-				if (nick.length < 1 || nick.length > 18) {
-					text = 'Invalid nickname: "' + nick + '".';
-				} else {
-					text = 'User "' + nick + '" is currently ' + (nick in this.settings.blacklist ? '' : 'not ') + 'blacklisted on the server.';
-				}
-			} else {
-				var nickList = Object.keys(this.settings.blacklist);
-				if (!nickList.length) return connection.sendTo(room, '/pm ' + by + ', No users are blacklisted in the server.');
-				this.uploadToHastebin(room, by, 'The following users are banned in the Server:\n\n' + nickList.join('\n'))
-				return;
-			}
-		}
-		connection.sendTo(room, '/pm ' + by + ', ' + text);
-	},*/
+
+    autoban: function (target, room, user, connection) {
+        if (!user.can('ban', null, room)) return connection.sendTo(room, '.autoban - Access denied.');
+        if (!room.bannedUsers) return this.sendPm('Room bans are not meant to be used in room ' + room.id + '.');
+        var names = target.split(',');
+        if (!toId(target)) return this.sendPm('Correct Syntax: .autoban [user], [user], ...');
+
+        var added = [];
+        var alreadyAdded = [];
+        var illegalNick = [];
+        for (var i = 0; i < names.length; i++) {
+            if (!names[i].trim()) continue;
+            var userid = toId(names[i]);
+            if (!userid || userid.length > 18) {
+                illegalNick.push(names[i].trim());
+                continue;
+            }
+            if (!blacklist.add(room.id, userid, user.userid)) {
+                alreadyAdded.push(userid);
+                continue;
+            }
+            // users who are online are banned right away, everyone else when they next join
+            // going through enforce records the bans, so .unautoban can lift them all
+            if (Users.get(userid)) blacklist.enforce(room, Users.get(userid), userid);
+            this.parse('/modnote ' + userid + ' was added to the blacklist by ' + user.name + '.');
+            added.push(userid);
+        }
+
+        var text = '';
+        if (added.length) text += 'User(s) "' + added.join('", "') + '" added to the blacklist. ';
+        if (alreadyAdded.length) text += 'User(s) "' + alreadyAdded.join('", "') + '" already on the blacklist. ';
+        if (illegalNick.length) text += 'User(s) "' + illegalNick.join('", "') + '" had illegal nicks and were not blacklisted.';
+        this.sendPm(text.trim());
+    },
+
+    unautoban: function (target, room, user, connection) {
+        if (!user.can('ban', null, room)) return connection.sendTo(room, '.unautoban - Access denied.');
+        var names = target.split(',');
+        if (!toId(target)) return this.sendPm('Correct Syntax: .unautoban [user], [user], ...');
+
+        var removed = [];
+        var notRemoved = [];
+        for (var i = 0; i < names.length; i++) {
+            if (!names[i].trim()) continue;
+            var userid = toId(names[i]);
+            if (!blacklist.remove(room.id, userid)) {
+                notRemoved.push(names[i].trim());
+                continue;
+            }
+            if (Users.get(userid)) this.parse('/roomunban ' + userid);
+            blacklist.lift(room, userid);
+            this.parse('/modnote ' + userid + ' was removed from the blacklist by ' + user.name + '.');
+            removed.push(userid);
+        }
+
+        var text = '';
+        if (removed.length) text += 'User(s) "' + removed.join('", "') + '" removed from the blacklist. ';
+        if (notRemoved.length) text += 'User(s) "' + notRemoved.join('", "') + '" weren\'t on the blacklist.';
+        this.sendPm(text.trim());
+    },
+
+    viewblacklist: function (target, room, user, connection) {
+        if (!user.can('mute', null, room)) return connection.sendTo(room, '.viewblacklist - Access denied.');
+        var userids = blacklist.get(room.id);
+        if (!userids.length) return this.sendPm('No users are blacklisted in ' + room.title + '.');
+
+        // a name asks whether that user is blacklisted, a number asks for that page of the list
+        if (toId(target) && !/^\s*\d+\s*$/.test(target)) {
+            return this.sendPm('User "' + toId(target) + '" is ' + (userids.indexOf(toId(target)) >= 0 ? '' : 'not ') + 'blacklisted in ' + room.title + '.');
+        }
+        var pages = Math.ceil(userids.length / BLACKLIST_PAGE_SIZE);
+        var page = Math.min(Math.max(Number(target) || 1, 1), pages);
+        this.sendPm('Blacklisted users in ' + room.title + ' (page ' + page + ' of ' + pages + '): ' +
+            userids.slice((page - 1) * BLACKLIST_PAGE_SIZE, page * BLACKLIST_PAGE_SIZE).join(', ') +
+            (page < pages ? ' - use .viewblacklist ' + (page + 1) + ' for more.' : ''));
+    },
 
     whois: (function () {
         var reply = [
@@ -546,42 +1230,25 @@ var commands = {
 
     hosttournament: function (target, room, user) {
         if (!this.can('hosttournament')) return;
+        var hosted = Tournaments.scheduler.getEntries(room.id).filter(function (entry) {
+            return entry.createdBy === Bot.config.userid();
+        });
         if (target.toLowerCase() === 'end') {
-            if (!Bot.config.hosting[room.id]) return this.sendPm('I\'m not hosting tournaments.');
-            Bot.config.hosting[room.id] = false;
+            if (!hosted.length) return this.sendPm('I\'m not hosting tournaments.');
+            hosted.forEach(function (entry) {
+                Tournaments.scheduler.remove(entry.id);
+            });
             return this.sendReply('I will now stop hosting tournaments.');
         }
-        if (Bot.config.hosting[room.id]) return this.sendReply('I\'m already hosting tournaments.');
-
-        Bot.config.hosting[room.id] = true
-        this.sendReply('**I will now be hosting tournaments.**');
-
-        var self = this,
-            _room = room,
-            _user = user;
+        if (hosted.length) return this.sendReply('I\'m already hosting tournaments.');
 
-        var poll = function () {
-            if (!Bot.config.hosting[_room.id]) return;
-            setTimeout(function () {
-                if (Poll[_room.id].question) self.parse('/endpoll');
-
-                self.parse('/poll Tournament tier?, ' + Object.keys(Tools.data.Formats).filter(function (f) { return Tools.data.Formats[f].effectType === 'Format'; }).join(", "));
-                setTimeout(function () {
-                    self.parse('/endpoll');
-                    Bot.commands.maketournament.call(self, (Poll[_room.id].topOption + ', 2 minute'), _room, _user);
-                }, 1000 * 60 * 2);
-            }, 1000 * 5);
-        };
-
-        var loop = function () {
-            setTimeout(function () {
-                if (!Tournaments.tournaments[_room.id] && !Poll[_room.id].question) poll();
-                if (Bot.config.hosting[_room.id]) loop();
-            }, 1000 * 60);
-        };
-
-        poll();
-        loop();
+        var parts = target.split(',');
+        var format = Tools.getFormat(parts[0] || 'ou');
+        if (format.effectType !== 'Format') return this.sendPm('Correct Syntax: !hosttournament [tier], [schedule, e.g. 0 * * * * for every hour]');
+        var entry = Tournaments.scheduler.add(room.id, format.id, 'elimination', parts.slice(1).join(',') || '0 * * * *', Bot.config.name, config.hostSignups);
+        if (entry === 'InvalidTime') return this.sendPm('That isn\'t a valid schedule.');
+        if (entry === 'RoomLimitReached') return this.sendPm('This room already has too many tournaments scheduled.');
+        this.sendReply('**I will now be hosting ' + format.name + ' tournaments. The next one starts ' + new Date(entry.next).toTimeString().slice(0, 5) + '.**');
     },
 
     join: function (target, room, user, connection) {
@@ -631,6 +1298,10 @@ var commands = {
 exports.joinServer = joinServer;
 exports.config = config;
 exports.parse = parse;
+exports.moderation = moderation;
+exports.blacklist = blacklist;
+exports.seen = seen;
+exports.customCommands = customCommands;
 exports.commands = commands;
 
 // Battling AI
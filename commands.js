@@ -2112,8 +2112,24 @@ var commands = exports.commands = {
 				return false;
 			}
 		}
+		var wager = 0;
+		var wagerMatch = target.match(/,\s*wager\s*=\s*([^,]*)$/i);
+		if (wagerMatch) {
+			target = target.substr(0, wagerMatch.index);
+			wager = Number(wagerMatch[1]);
+			if (isNaN(wager) || wager <= 0 || Math.floor(wager) !== wager) {
+				return this.popupReply("The wager has to be a whole number of bucks.");
+			}
+			if (Economy.get(user.userid) < wager) {
+				return this.popupReply("You don't have " + wager + " bucks to wager.");
+			}
+		}
 		user.prepBattle(target, 'challenge', connection, function (result) {
-			if (result) user.makeChallenge(targetUser, target);
+			if (!result) return;
+			user.makeChallenge(targetUser, target, wager);
+			if (wager && user.challengeTo && user.challengeTo.to === targetUser.userid) {
+				targetUser.popup(user.name + " wants to wager " + wager + " bucks on this battle. If you accept, you both put up " + wager + " bucks and the winner takes it all.");
+			}
 		});
 	},
 
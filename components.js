@@ -32,7 +32,7 @@ var components = exports.components = {
     earnbucks: 'earnmoney',
     earnmoney: function (target, room, user) {
         if (!this.canBroadcast()) return;
-        this.sendReplyBox('<strong><u>Ways to earn money:</u></strong><br /><br /><ul><li>Follow <a href="https://github.com/CreaturePhil"><u><b>CreaturePhil</b></u></a> on Github for 5 bucks.</li><li>Star this <a href="https://github.com/CreaturePhil/Showdown-Boilerplate">repository</a> for 5 bucks. If you don\'t know how to star a repository, click <a href="http://i.imgur.com/0b9Mbff.png">here</a> to learn how.</li><li>Participate in and win tournaments.</li><br /><br />Once you done so pm an admin. If you don\'t have a Github account you can make on <a href="https://github.com/join"><b><u>here</b></u></a>.</ul>');
+        this.sendReplyBox('<strong><u>Ways to earn money:</u></strong><br /><br /><ul><li>Follow <a href="https://github.com/CreaturePhil"><u><b>CreaturePhil</b></u></a> on Github for 5 bucks.</li><li>Star this <a href="https://github.com/CreaturePhil/Showdown-Boilerplate">repository</a> for 5 bucks. If you don\'t know how to star a repository, click <a href="http://i.imgur.com/0b9Mbff.png">here</a> to learn how.</li><li>Participate in and win tournaments.</li><li>Win rated battles on the ladder' + (Config.battleMoney && Config.battleMoney.win ? ' for ' + Config.battleMoney.win + ' ' + Economy.bucks(Config.battleMoney.win) + ' each' + (Config.battleMoney.dailyCap ? ' (up to ' + Config.battleMoney.dailyCap + ' a day)' : '') : '') + '.</li><br /><br />Once you done so pm an admin. If you don\'t have a Github account you can make on <a href="https://github.com/join"><b><u>here</b></u></a>.</ul>');
     },
 
     staff: 'stafflist',
@@ -139,7 +139,7 @@ var components = exports.components = {
 	    var avatar = Core.findAvatar(name);
 	    var group = Core.stdin('usergroups.csv', name);
 	    var status = Core.stdin('status.csv', name);
-	    var money = Core.stdin('money.csv', name);
+	    var money = Economy.get(name);
 
 		var util = require("util");
 		var http = require("http");
@@ -167,9 +167,6 @@ var components = exports.components = {
 			if (status === ' ') {
 				status = 'This user hasn\'t set their status yet.';
 			}
-			if (money === '' || money === ' ') {
-				money = 0;
-			}
 
 			var lastOnline = Number(Core.stdin('lastOnline.csv', name));
 			if (lastOnline === Number(' ')) {
@@ -204,10 +201,6 @@ var components = exports.components = {
 			if (targetUser.connected === true) {
 				lastOnline = '<font color="green">Currently Online</font>';
 			}
-			io.stdinNumber('money.csv', user, 'money');
-			if (targetUser.money === Infinity) {
-				targetUser.money === Infinity;
-			}
 			io.stdinString('statusTime.csv', user, 'statusTime');
 		}
 
@@ -226,9 +219,9 @@ var components = exports.components = {
 		                	if (!targetUser) {
 		                		self.sendReplyBox('<img src="' + avatar + '" height="80" width="80" align="left">' + '&nbsp;<strong><font color="#24678d">Name:</font></strong> ' + target + '<br />' + '&nbsp;<strong><font color="#24678d">Registered:</font></strong>' + content[1] + '<br/>' + '&nbsp;<strong><font color="#24678d">Rank:</font></strong> ' + group + '<br/>' + '&nbsp;<strong><font color="#24678d">Money:</font></strong> ' + money + '<br/>' + '&nbsp;<strong><font color="#24678d">Last Online:</font></strong> ' + lastOnline + '<br/>' + '&nbsp;<strong><font color="#24678d">Status:</font></strong> "' + status + '" <font color="gray">' + Core.stdin('statusTime.csv', name) + '</font><br clear="all" />');
 		                	} else if (targetUser.authenticated === true && typeof(targetUser.avatar) === typeof('')) {
-		                		self.sendReplyBox('<img src="http://107.155.72.217:15000/avatars/' + targetUser.avatar + '" height="80" width="80" align="left">' + '&nbsp;<strong><font color="#24678d">Name:</font></strong> ' + targetUser.name + '<br />' + '&nbsp;<strong><font color="#24678d">Registered:</font></strong>' + content[1] + '<br/>' + '&nbsp;<strong><font color="#24678d">Rank:</font></strong> ' + Config.groups.bySymbol[targetUser.group].name + '<br/>' + '&nbsp;<strong><font color="#24678d">Money:</font></strong> ' + targetUser.money + '<br/>' + '&nbsp;<strong><font color="#24678d">Last Online:</font></strong> ' + lastOnline + '<br/>' + '&nbsp;<strong><font color="#24678d">Status:</font></strong> "' + targetUser.status + '" <font color="gray">' + targetUser.statusTime + '</font><br clear="all" />');
+		                		self.sendReplyBox('<img src="http://107.155.72.217:15000/avatars/' + targetUser.avatar + '" height="80" width="80" align="left">' + '&nbsp;<strong><font color="#24678d">Name:</font></strong> ' + targetUser.name + '<br />' + '&nbsp;<strong><font color="#24678d">Registered:</font></strong>' + content[1] + '<br/>' + '&nbsp;<strong><font color="#24678d">Rank:</font></strong> ' + Config.groups.bySymbol[targetUser.group].name + '<br/>' + '&nbsp;<strong><font color="#24678d">Money:</font></strong> ' + money + '<br/>' + '&nbsp;<strong><font color="#24678d">Last Online:</font></strong> ' + lastOnline + '<br/>' + '&nbsp;<strong><font color="#24678d">Status:</font></strong> "' + targetUser.status + '" <font color="gray">' + targetUser.statusTime + '</font><br clear="all" />');
 		                    } else {
-		                    	self.sendReplyBox('<img src="http://play.pokemonshowdown.com/sprites/trainers/' + targetUser.avatar + '.png" height="80" width="80" align="left">' + '&nbsp;<strong><font color="#24678d">Name:</font></strong> ' + targetUser.name + '<br />' + '&nbsp;<strong><font color="#24678d">Registered:</font></strong>' + content[1] + '<br/>' + '&nbsp;<strong><font color="#24678d">Rank:</font></strong> ' + Config.groups.bySymbol[targetUser.group].name + '<br/>' + '&nbsp;<strong><font color="#24678d">Money:</font></strong> ' + targetUser.money + '<br/>' + '&nbsp;<strong><font color="#24678d">Last Online:</font></strong> ' + lastOnline + '<br/>' + '&nbsp;<strong><font color="#24678d">Status:</font></strong> "' + targetUser.status + '" <font color="gray">' + targetUser.statusTime + '</font><br clear="all" />');
+		                    	self.sendReplyBox('<img src="http://play.pokemonshowdown.com/sprites/trainers/' + targetUser.avatar + '.png" height="80" width="80" align="left">' + '&nbsp;<strong><font color="#24678d">Name:</font></strong> ' + targetUser.name + '<br />' + '&nbsp;<strong><font color="#24678d">Registered:</font></strong>' + content[1] + '<br/>' + '&nbsp;<strong><font color="#24678d">Rank:</font></strong> ' + Config.groups.bySymbol[targetUser.group].name + '<br/>' + '&nbsp;<strong><font color="#24678d">Money:</font></strong> ' + money + '<br/>' + '&nbsp;<strong><font color="#24678d">Last Online:</font></strong> ' + lastOnline + '<br/>' + '&nbsp;<strong><font color="#24678d">Status:</font></strong> "' + targetUser.status + '" <font color="gray">' + targetUser.statusTime + '</font><br clear="all" />');
 		                    }
 		                }
 		            }
@@ -236,7 +229,7 @@ var components = exports.components = {
 		        	if (!targetUser) {
 		        		self.sendReplyBox('<img src="' + avatar + '" height="80" width="80" align="left">' + '&nbsp;<strong><font color="#24678d">Name:</font></strong> ' + target + '<br />' + '&nbsp;<strong><font color="#24678d">Registered:</font></strong>' + content[1] + '<br/>' + '&nbsp;<strong><font color="#24678d">Rank:</font></strong> ' + group + '<br/>' + '&nbsp;<strong><font color="#24678d">Money:</font></strong> ' + money + '<br/>' + '&nbsp;<strong><font color="#24678d">Last Online:</font></strong> ' + lastOnline + '<br/>' + '&nbsp;<strong><font color="#24678d">Status:</font></strong> "' + status + '" <font color="gray">' + Core.stdin('statusTime.csv', name) + '</font><br clear="all" />');
 		        	} else {
-		        		self.sendReplyBox('<img src="http://play.pokemonshowdown.com/sprites/trainers/' + targetUser.avatar + '.png" height="80" width="80" align="left">' + '&nbsp;<strong><font color="#24678d">Name:</font></strong> ' + targetUser.name + '<br />' + '&nbsp;<strong><font color="#24678d">Registered:</font></strong>' + ' (Unregistered)' + '<br/>' + '&nbsp;<strong><font color="#24678d">Rank:</font></strong> ' + Config.groups.bySymbol[targetUser.group].name + '<br/>' + '&nbsp;<strong><font color="#24678d">Money:</font></strong> ' + targetUser.money + '<br/>' + '&nbsp;<strong><font color="#24678d">Last Online:</font></strong> ' + lastOnline + '<br/>' + '&nbsp;<strong><font color="#24678d">Status:</font></strong> "' + targetUser.status + '" <font color="gray">' + targetUser.statusTime + '</font><br clear="all" />');
+		        		self.sendReplyBox('<img src="http://play.pokemonshowdown.com/sprites/trainers/' + targetUser.avatar + '.png" height="80" width="80" align="left">' + '&nbsp;<strong><font color="#24678d">Name:</font></strong> ' + targetUser.name + '<br />' + '&nbsp;<strong><font color="#24678d">Registered:</font></strong>' + ' (Unregistered)' + '<br/>' + '&nbsp;<strong><font color="#24678d">Rank:</font></strong> ' + Config.groups.bySymbol[targetUser.group].name + '<br/>' + '&nbsp;<strong><font color="#24678d">Money:</font></strong> ' + money + '<br/>' + '&nbsp;<strong><font color="#24678d">Last Online:</font></strong> ' + lastOnline + '<br/>' + '&nbsp;<strong><font color="#24678d">Status:</font></strong> "' + targetUser.status + '" <font color="gray">' + targetUser.statusTime + '</font><br clear="all" />');
 		        	}
 		        }
 		        room.update();
@@ -267,45 +260,359 @@ var components = exports.components = {
     tournamentladder: function (target, room, user) {
         if (!this.canBroadcast()) return;
 
+        var parts = target.split(',');
+        var format = '';
+        // names like gen5ou or 1v1 have digits in them, so formats are looked up before anything is taken as a number
+        var isFormat = Tools.getFormat(parts[0]).effectType === 'Format' || Tournaments.ratings.getFormats().indexOf(toId(parts[0])) >= 0;
+        if (parts.length > 1 || isFormat || (parts[0] && !/[0-9]/.test(parts[0]) && toId(parts[0]) !== 'all')) format = toId(parts.shift());
+        if (format === Tournaments.ratings.OVERALL) format = '';
+        target = parts.join(',').trim();
+
         if (!target) target = 10;
         if (!/[0-9]/.test(target) && target.toLowerCase() !== 'all') target = -1;
 
-        var ladder = Core.ladder(Number(target));
-        if (ladder === 0) return this.sendReply('No one is ranked yet.');
+        var ladder = Core.ladder(Number(target), format);
+        if (ladder === 0) return this.sendReply('No one is ranked' + (format ? ' in ' + format : '') + ' yet.');
+
+        var formats = Tournaments.ratings.getFormats();
+        return this.sendReply('|raw|<center>' + ladder + 'Ratings marked with ? are still provisional.<br />To view the entire ladder use /tourladder <em>all</em> or to view a certain amount of users use /tourladder <em>number</em>' +
+            (formats.length ? '<br />Format ladders: ' + formats.join(', ') + '. Use /tourladder <em>format</em>, <em>number</em> to view one.' : '') + '</center>');
+    },
+
+    tourhistory: function (target, room, user) {
+        if (!this.canBroadcast()) return;
+        var entries = Tournaments.history.search(target, 10);
+        if (!entries.length) return this.sendReply('No tournaments have been played' + (target ? ' matching ' + target : '') + ' yet.');
+        this.sendReplyBox('<b>Recent tournaments' + (target ? ' matching ' + Tools.escapeHTML(target) : '') + ':</b><br />' + entries.map(function (entry) {
+            return Tools.escapeHTML(Tournaments.history.describe(entry));
+        }).join('<br />') + '<br />Use /tourresult <em>id</em> to see the results of one.');
+    },
+
+    tourresult: function (target, room, user) {
+        if (!this.canBroadcast()) return;
+        if (!target) return this.parse('/help tourresult');
+        var entry = Tournaments.history.get(target.replace('#', ''));
+        if (!entry) return this.sendReply('There is no finished tournament #' + target + '.');
+        this.sendReplyBox('<b>' + Tools.escapeHTML(Tournaments.history.describe(entry)) + '</b><br />' +
+            '<i>Participants:</i> ' + Tools.escapeHTML(entry.participants.join(', ')) + '<br />' +
+            Tournaments.history.renderBracket(entry.bracketData));
+    },
 
-        return this.sendReply('|raw|<center>' + ladder + 'To view the entire ladder use /tourladder <em>all</em> or to view a certain amount of users use /tourladder <em>number</em></center>');
+    tourteams: function (target, room, user) {
+        if (!target) return this.parse('/help tourteams');
+        var entry = Tournaments.history.get(target.replace('#', ''));
+        if (!entry) return this.sendReply('There is no finished tournament #' + target + '.');
+        if (!this.can('tournamentsmoderation', null, Rooms.get(entry.room) || room)) return false;
+        if (!entry.teams) return this.sendReply('Tournament #' + entry.id + ' did not lock teams.');
+        if (!this.canBroadcast()) return;
+        this.sendReplyBox('<b>Teams of ' + Tools.escapeHTML(Tournaments.history.describe(entry)) + '</b><br />' +
+            Tournaments.history.renderTeams(entry));
+    },
+
+    season: function (target, room, user) {
+        var parts = target.split(' ');
+        var action = toId(parts[0]);
+        var season;
+
+        if (action === 'start') {
+            if (!this.can('promote')) return false;
+            season = Tournaments.ratings.startSeason();
+            if (season === 'SeasonStarted') return this.sendReply('Season ' + Tournaments.ratings.getSeason().number + ' is still running. End it first with /season end.');
+            if (Rooms.lobby) Rooms.lobby.addRaw('<div class="broadcast-green"><b>Tournament season ' + season.number + ' has started! Good luck everyone!</b></div>');
+            this.logModCommand(user.name + ' started tournament season ' + season.number + '.');
+            return;
+        }
+
+        if (action === 'end') {
+            if (!this.can('promote')) return false;
+            var isReset = toId(parts[1]) === 'reset';
+            if (parts[1] && !isReset && toId(parts[1]) !== 'decay') return this.parse('/help season');
+            season = Tournaments.ratings.endSeason(isReset);
+            if (season === 'NoSeason') return this.sendReply('There is no season running. Start one with /season start.');
+
+            var crowns = ['1st', '2nd', '3rd'];
+            var champions = season.champions.map(function (entry, i) {
+                return crowns[i] + ': <b>' + Tools.escapeHTML(entry.userid) + '</b> (' + Math.round(entry.rating) + ')';
+            });
+            if (Rooms.lobby) Rooms.lobby.addRaw('<div class="broadcast-green"><b>Tournament season ' + season.number + ' has ended!</b>' + (champions.length ? '<br />Congratulations to our champions! ' + champions.join(', ') : '') + '</div>');
+            this.sendReply('The final standings were saved to ' + season.file + '. Ratings have been ' + (isReset ? 'reset.' : 'decayed by ' + Tournaments.ratings.getSettings().seasonDecay + '%.'));
+            this.logModCommand(user.name + ' ended tournament season ' + season.number + (isReset ? ' and reset all ratings.' : '.'));
+            return;
+        }
+
+        if (action === 'history') {
+            if (!this.canBroadcast()) return;
+            var seasons = Tournaments.ratings.getSeasonHistory(Number(parts[1]) || 5);
+            if (!seasons.length) return this.sendReply('No season has ended yet.');
+            return this.sendReplyBox(seasons.map(function (season) {
+                return '<b>Season ' + season.number + '</b> (' + new Date(season.start).toDateString() + ' - ' + new Date(season.end).toDateString() + '): ' +
+                    (season.champions.map(function (entry) {
+                        return Tools.escapeHTML(entry.userid) + ' (' + Math.round(entry.rating) + ')';
+                    }).join(', ') || 'nobody was ranked');
+            }).join('<br />'));
+        }
+
+        if (action && action !== 'status') return this.parse('/help season');
+        if (!this.canBroadcast()) return;
+        season = Tournaments.ratings.getSeason();
+        if (!season) return this.sendReply('There is no tournament season running right now.');
+        var leaders = Tournaments.ratings.getLadder().slice(0, 3).map(function (entry) {
+            return Tools.escapeHTML(entry.userid) + ' (' + Math.round(entry.rating) + ')';
+        });
+        this.sendReplyBox('<b>Tournament season ' + season.number + '</b> has been running for ' + (Date.now() - season.start).duration() + '.' + (leaders.length ? '<br />Current leaders: ' + leaders.join(', ') : ''));
     },
 
     shop: function (target, room, user) {
         if (!this.canBroadcast()) return;
-        return this.sendReply('|raw|' + Core.shop(true));
+        return this.sendReply('|raw|' + Shop.display());
     },
 
     buy: function (target, room, user) {
-        if (!target) this.parse('/help buy');
-        var userMoney = Number(Core.stdin('money.csv', user.userid));
-        var shop = Core.shop(false);
-        var len = shop.length;
-        while (len--) {
-            if (target.toLowerCase() === shop[len][0].toLowerCase()) {
-                var price = shop[len][2];
-                if (price > userMoney) return this.sendReply('You don\'t have enough money for this. You need ' + (price - userMoney) + ' more bucks to buy ' + target + '.');
-                Core.stdout('money.csv', user.userid, (userMoney - price));
-                if (target.toLowerCase() === 'symbol') {
-                    user.canCustomSymbol = true;
-                    this.sendReply('You have purchased a custom symbol. You will have this until you log off for more than an hour. You may now use /customsymbol now.');
-                    this.parse('/help customsymbol');
-                    this.sendReply('If you do not want your custom symbol anymore, you may use /resetsymbol to go back to your old symbol.');
-                } else {
-                    this.sendReply('You have purchased ' + target + '. Please contact an admin to get ' + target + '.');
-                    for (var u in Users.users) {
-                         if (Users.get(u).group === '~' || Users.get(u).group === '&') Users.get(u).send('|pm|~Shop|' + Users.users[u].group+Users.users[u].name + '|' + user.name + ' has bought ' + target + ' from the shop.');
+        if (!target) return this.parse('/help buy');
+        var item = Shop.getItem(target);
+        if (!item) return this.sendReply('There is no item called \'' + target + '\' in the shop. Use /shop to see what you can buy.');
+
+        var price = Shop.getPrice(item);
+        var userMoney = Economy.get(user.userid);
+        if (price > userMoney) return this.sendReply('You don\'t have enough money for this. You need ' + (price - userMoney) + ' more bucks to buy ' + item.name + '.');
+
+        var order = Shop.buy(user, item.name);
+        if (order === 'OutOfStock') return this.sendReply(item.name + ' is sold out.');
+        if (order === 'LimitReached') return this.sendReply('You can only buy ' + item.name + ' ' + item.limit + ' time' + (item.limit === 1 ? '' : 's') + '.');
+        if (order === 'RankTooLow') return this.sendReply('You need to be at least ' + item.rank + ' to buy ' + item.name + '.');
+        if (typeof order === 'string') return this.sendReply('Your purchase failed (' + order + ').');
+
+        if (item.id === 'symbol') {
+            Shop.fulfill(order);
+            this.sendReply('You have purchased a custom symbol. You may now use /customsymbol, and your symbol will be put back every time you log in.');
+            this.parse('/help customsymbol');
+            this.sendReply('If you do not want your custom symbol anymore, you may use /resetsymbol to go back to your old symbol.');
+        } else {
+            var info = Shop.redeemInfo[item.id];
+            this.sendReply('You have purchased ' + item.name + '. Your order number is #' + order.id + '.');
+            if (info) this.sendReply('Use /redeem ' + order.id + ', [' + info + '] to tell us what you want.');
+            for (var u in Users.users) {
+                 if (Users.get(u).group === '~' || Users.get(u).group === '&') Users.get(u).send('|pm|~Shop|' + Users.users[u].group+Users.users[u].name + '|' + user.name + ' has bought ' + item.name + ' from the shop (order #' + order.id + '). Use /orders to see all pending orders.');
 
-                    }
-                }
-                room.add(user.name + ' has bought ' + target + ' from the shop.');
             }
         }
+        room.add(user.name + ' has bought ' + item.name + ' from the shop.');
+    },
+
+    shopadmin: function (target, room, user) {
+        if (!this.can('promote')) return false;
+        var space = target.indexOf(' ');
+        if (space < 0) return this.parse('/help shopadmin');
+        var action = toId(target.substr(0, space));
+        var parts = target.substr(space + 1).split(',').map(function (part) {
+            return part.trim();
+        });
+        var name = parts.shift();
+        if (!action || !name) return this.parse('/help shopadmin');
+
+        var result, amount;
+        switch (action) {
+        case 'add':
+            amount = Number(parts[0]);
+            if (isNaN(amount) || amount < 0 || Math.floor(amount) !== amount) return this.sendReply('/shopadmin add [name], [price], [category], [description] - The price must be a whole number.');
+            result = Shop.addItem(name, amount, parts[1], parts.slice(2).join(', '));
+            break;
+        case 'remove':
+        case 'delete':
+            result = Shop.removeItem(name);
+            break;
+        case 'price':
+        case 'stock':
+        case 'limit':
+        case 'duration':
+        case 'uses':
+            amount = toId(parts[0]) === 'none' || toId(parts[0]) === 'unlimited' ? null : Number(parts[0]);
+            if ((action === 'price' && amount === null) || (amount !== null && (isNaN(amount) || amount < 0 || Math.floor(amount) !== amount))) return this.sendReply('The ' + action + ' must be a whole number' + (action === 'price' ? '.' : ', or \'none\'.'));
+            result = Shop.setItem(name, action, amount);
+            break;
+        case 'category':
+        case 'description':
+            if (!parts.join(', ')) return this.parse('/help shopadmin');
+            result = Shop.setItem(name, action, parts.join(', '));
+            break;
+        case 'rank':
+            var rank = parts[0] === 'none' ? null : parts[0];
+            if (rank && Config.groups.byRank.indexOf(rank) < 0) return this.sendReply('\'' + rank + '\' is not a rank. Valid ranks: ' + Config.groups.byRank.join(' ').trim());
+            result = Shop.setItem(name, 'rank', rank);
+            break;
+        case 'sale':
+            var sale = null;
+            if (toId(parts[0]) !== 'none') {
+                sale = {price: Number(parts[0]), start: new Date(parts[1]).getTime(), end: new Date(parts[2]).getTime()};
+                if (isNaN(sale.price) || sale.price < 0 || Math.floor(sale.price) !== sale.price) return this.sendReply('The sale price must be a whole number.');
+                if (isNaN(sale.start) || isNaN(sale.end) || sale.end <= sale.start) return this.sendReply('The sale needs a valid start and end date, like 2015-01-31 18:00.');
+            }
+            result = Shop.setItem(name, 'sale', sale);
+            break;
+        default:
+            return this.parse('/help shopadmin');
+        }
+
+        if (result === 'ItemNotFound') return this.sendReply('There is no item called \'' + name + '\' in the shop.');
+        if (result === 'ItemExists') return this.sendReply('There is already an item called \'' + name + '\' in the shop.');
+        if (result === 'InvalidName') return this.sendReply('\'' + name + '\' is not a valid item name.');
+        if (typeof result === 'string') return this.sendReply('/shopadmin failed (' + result + ').');
+
+        this.sendReply('The shop has been updated.');
+        this.logModCommand(user.name + ' used /shopadmin ' + target);
+    },
+
+    inventory: function (target, room, user) {
+        if (!this.canBroadcast()) return;
+        var userid = toId(target) || user.userid;
+        var name = Users.getExact(userid) ? Users.getExact(userid).name : (target.trim() || user.name);
+
+        var items = Inventory.get(userid).map(Inventory.describe);
+        var purchases = Shop.getOrders(userid).slice(-10).reverse().map(function (order) {
+            return Tools.escapeHTML(order.item) + ' for ' + order.price + ' ' + Economy.bucks(order.price) + ' on ' + new Date(order.time).toDateString() + (order.status === 'refunded' ? ' (refunded)' : '');
+        });
+
+        this.sendReplyBox('<b>' + Tools.escapeHTML(name) + '\'s inventory:</b> ' + (items.length ? Tools.escapeHTML(items.join(', ')) : 'nothing') + '<br />' +
+            '<b>Recent purchases:</b> ' + (purchases.length ? purchases.join(', ') : 'none'));
+    },
+
+    use: function (target, room, user) {
+        if (!target) return this.parse('/help use');
+        var parts = target.split(',');
+        var entry = Inventory.find(user.userid, parts[0]);
+        if (!entry) return this.sendReply('You don\'t have an item called \'' + parts[0].trim() + '\'. Use /inventory to see what you own.');
+
+        if (entry.id === 'symbol') return this.parse('/customsymbol ' + parts.slice(1).join(',').trim());
+        if (entry.id === 'poof') {
+            // poofing disconnects the user, so the use has to be counted before that
+            if (room.id !== 'lobby') return this.sendReply('You can only poof in the lobby.');
+            if (!this.canTalk()) return false;
+            Inventory.use(user.userid, entry.id);
+            return this.parse('/poof');
+        }
+
+        Inventory.use(user.userid, entry.id);
+        this.sendReply('You used ' + entry.name + '.' + (entry.uses !== null ? ' You have ' + entry.uses + ' use' + (entry.uses === 1 ? '' : 's') + ' left.' : ''));
+        room.add(user.name + ' used ' + entry.name + '.');
+    },
+
+    redeem: function (target, room, user) {
+        if (!target) return this.parse('/help redeem');
+        var parts = target.split(',');
+        var order = Shop.getOrder(parts.shift());
+        var details = parts.join(',').trim();
+        if (!order || order.userid !== user.userid) return this.sendReply('You don\'t have an order with that number. Use /orders to see your orders.');
+
+        var result = Shop.redeem(order, details);
+        if (result === 'OrderClosed') return this.sendReply('Order #' + order.id + ' has already been ' + order.status + '.');
+        if (result === 'MissingDetails') return this.sendReply('Use /redeem ' + order.id + ', [' + (Shop.redeemInfo[toId(order.item)] || 'details') + '].');
+        if (result === 'RoomExists') return this.sendReply('The room \'' + details + '\' already exists.');
+
+        if (order.status === 'fulfilled') return this.sendReply('Order #' + order.id + ' has been fulfilled. Enjoy your ' + order.item + '!');
+        this.sendReply('Order #' + order.id + ' has been sent to the admins. You will get your ' + order.item + ' once one of them fulfills it.');
+        for (var u in Users.users) {
+            if (Users.get(u).group === '~' || Users.get(u).group === '&') Users.get(u).send('|pm|~Shop|' + Users.users[u].group+Users.users[u].name + '|' + user.name + ' has redeemed order #' + order.id + ' (' + order.item + '): ' + details);
+        }
+    },
+
+    order: 'orders',
+    orders: function (target, room, user) {
+        var isAdmin = user.can('promote');
+        var orders;
+        if (isAdmin && toId(target) !== 'mine') {
+            orders = toId(target) === 'all' ? Shop.getOrders() : Shop.getOrders(null, 'pending');
+        } else {
+            orders = Shop.getOrders(user.userid);
+        }
+        if (!orders.length) return this.sendReply('There are no orders to show.');
+
+        return this.popupReply(orders.slice(-100).reverse().map(Shop.describe).join('\n'));
+    },
+
+    fulfill: function (target, room, user) {
+        if (!this.can('promote')) return false;
+        if (!target) return this.parse('/help fulfill');
+        var order = Shop.getOrder(target);
+        if (!order) return this.sendReply('Order #' + target + ' doesn\'t exist.');
+
+        var result = Shop.fulfill(order, user);
+        if (result === 'OrderClosed') return this.sendReply('Order #' + order.id + ' has already been ' + order.status + '.');
+        if (result === 'MissingDetails') return this.sendReply(order.name + ' hasn\'t said what the room should be called yet.');
+        if (result === 'RoomExists') return this.sendReply('The room \'' + order.details + '\' already exists. Refund the order or ask ' + order.name + ' for another name.');
+
+        this.sendReply('Order #' + order.id + ' (' + order.item + ' for ' + order.name + ') has been fulfilled.');
+        var targetUser = Users.get(order.userid);
+        if (targetUser) targetUser.send('|pm|~Shop|' + targetUser.getIdentity() + '|Your order #' + order.id + ' (' + order.item + ') has been fulfilled by ' + user.name + '.');
+        this.logModCommand(user.name + ' fulfilled order #' + order.id + ' (' + order.item + ' for ' + order.name + ').');
+    },
+
+    refund: function (target, room, user) {
+        if (!this.can('promote')) return false;
+        if (!target) return this.parse('/help refund');
+        var order = Shop.getOrder(target);
+        if (!order) return this.sendReply('Order #' + target + ' doesn\'t exist.');
+
+        var result = Shop.refund(order, user);
+        if (result === 'OrderClosed') return this.sendReply('Order #' + order.id + ' has already been ' + order.status + '.');
+
+        this.sendReply('Order #' + order.id + ' has been refunded. ' + order.name + ' got ' + order.price + ' ' + Economy.bucks(order.price) + ' back.');
+        var targetUser = Users.get(order.userid);
+        if (targetUser) targetUser.send('|pm|~Shop|' + targetUser.getIdentity() + '|Your order #' + order.id + ' (' + order.item + ') has been refunded by ' + user.name + '. You got ' + order.price + ' ' + Economy.bucks(order.price) + ' back.');
+        this.logModCommand(user.name + ' refunded order #' + order.id + ' (' + order.item + ' for ' + order.name + ').');
+    },
+
+    streak: function (target, room, user) {
+        if (!this.canBroadcast()) return;
+        var userid = toId(target) || user.userid;
+        var name = Users.getExact(userid) ? Users.getExact(userid).name : (target.trim() || user.name);
+        var streak = Daily.getStreak(userid);
+        this.sendReplyBox('<b>' + Tools.escapeHTML(name) + '</b>\'s login streak: ' + streak.streak + ' day' + (streak.streak === 1 ? '' : 's') + ' (best: ' + streak.best + ')');
+    },
+
+    lotto: 'lottery',
+    lottery: function (target, room, user) {
+        var parts = target.split(' ');
+        var action = toId(parts[0]);
+        var settings = Lottery.getSettings();
+
+        if (action === 'buy') {
+            if (!this.canTalk()) return;
+            var amount = Number(parts[1] || 1);
+            var result = Lottery.buy(user, amount);
+            if (result === 'InvalidAmount') return this.sendReply('You can only buy a whole number of tickets.');
+            if (result === 'TooManyTickets') return this.sendReply('You can\'t have more than ' + settings.maxTickets + ' tickets for one draw.');
+            if (result === 'InsufficientFunds') return this.sendReply('You need ' + (amount * settings.ticketPrice) + ' bucks to buy ' + amount + ' ticket' + (amount === 1 ? '' : 's') + '.');
+            if (typeof result === 'string') return this.sendReply('Your purchase failed (' + result + ').');
+            return this.sendReply('You bought ' + amount + ' lottery ticket' + (amount === 1 ? '' : 's') + '. You now have ' + result + ' ticket' + (result === 1 ? '' : 's') + ' for the next draw.');
+        }
+
+        if (action === 'draw') {
+            if (!this.can('promote')) return false;
+            var draw = Lottery.draw();
+            if (draw === 'NoTickets') return this.sendReply('Nobody has bought a lottery ticket yet.');
+            this.logModCommand(user.name + ' drew the lottery. ' + draw.winner + ' won ' + draw.payout + ' bucks.');
+            if (room.id !== 'lobby') this.sendReply(draw.winner + ' has won the lottery and takes home ' + draw.payout + ' ' + Economy.bucks(draw.payout) + '!');
+            return;
+        }
+
+        if (action === 'history') {
+            if (!this.canBroadcast()) return;
+            var limit = Number(parts[1]) || 5;
+            var draws = Lottery.getDraws(limit).map(function (draw) {
+                return new Date(draw.time).toDateString() + ': <b>' + Tools.escapeHTML(draw.winner) + '</b> won ' + draw.payout + ' ' + Economy.bucks(draw.payout) + ' with ' + draw.winnerTickets + ' of ' + draw.tickets + ' tickets';
+            });
+            return this.sendReplyBox(draws.length ? draws.join('<br />') : 'There haven\'t been any draws yet.');
+        }
+
+        if (action && action !== 'status') return this.parse('/help lottery');
+        if (!this.canBroadcast()) return;
+        var status = Lottery.getStatus(user.userid);
+        var prize = status.pot - Math.floor(status.pot * settings.houseCut);
+        this.sendReplyBox('<b>Lottery</b><br />' +
+            'Prize: ' + prize + ' ' + Economy.bucks(prize) + ' (' + status.tickets + ' ticket' + (status.tickets === 1 ? '' : 's') + ' sold)<br />' +
+            'Next draw in: ' + Math.max(status.nextDraw - Date.now(), 0).duration() + '<br />' +
+            'Tickets cost ' + settings.ticketPrice + ' ' + Economy.bucks(settings.ticketPrice) + ' each. Buy some with /lottery buy <em>amount</em>.' +
+            (this.broadcasting ? '' : '<br />You have ' + status.userTickets + ' ticket' + (status.userTickets === 1 ? '' : 's') + '.'));
     },
 
     transferbuck: 'transfermoney',
@@ -326,25 +633,17 @@ var components = exports.components = {
         if (parts[1] < 1) return this.sendReply('You can\'t transfer less than one buck at a time.');
         if (String(parts[1]).indexOf('.') >= 0) return this.sendReply('You cannot transfer money with decimals.');
 
-        var userMoney = Core.stdin('money.csv', user.userid);
-        var targetMoney = Core.stdin('money.csv', targetUser.userid);
-
-        if (parts[1] > Number(userMoney)) return this.sendReply('You cannot transfer more money than what you have.');
-
         var b = 'bucks';
         var cleanedUp = parts[1].trim();
         var transferMoney = Number(cleanedUp);
         if (transferMoney === 1) b = 'buck';
 
-        userMoney = Number(userMoney) - transferMoney;
-        targetMoney = Number(targetMoney) + transferMoney;
-
-        Core.stdout('money.csv', user.userid, userMoney, function () {
-            Core.stdout('money.csv', targetUser.userid, targetMoney);
-        });
+        var result = Economy.transfer(user.userid, targetUser.userid, transferMoney, 'Transfer', user);
+        if (result === 'InsufficientFunds') return this.sendReply('You cannot transfer more money than what you have.');
+        if (typeof result === 'string') return this.sendReply('The transfer failed (' + result + ').');
 
-        this.sendReply('You have successfully transferred ' + transferMoney + ' ' + b + ' to ' + targetUser.name + '. You now have ' + userMoney + ' bucks.');
-        targetUser.send(user.name + ' has transferred ' + transferMoney + ' ' + b + ' to you. You now have ' + targetMoney + ' bucks.');
+        this.sendReply('You have successfully transferred ' + transferMoney + ' ' + b + ' to ' + targetUser.name + '. You now have ' + result[0] + ' bucks.');
+        targetUser.send(user.name + ' has transferred ' + transferMoney + ' ' + b + ' to you. You now have ' + result[1] + ' bucks.');
     },
 
     tell: function (target, room, user) {
@@ -425,7 +724,8 @@ var components = exports.components = {
         return function (target, room, user) {
             if (target && !this.can('broadcast')) return false;
             if (room.id !== 'lobby') return false;
-            var message = target || messages[Math.floor(Math.random() * messages.length)];
+            var pool = messages.concat(Shop.getPoofs());
+            var message = target || user.customPoof || pool[Math.floor(Math.random() * pool.length)];
             if (message.indexOf('{{user}}') < 0)
                 message = '{{user}} ' + message;
             message = message.replace(/{{user}}/g, user.name);
@@ -442,30 +742,10 @@ var components = exports.components = {
     })(),
 
     customsymbol: function (target, room, user) {
-        if (!user.canCustomSymbol) return this.sendReply('You need to buy this item from the shop to use.');
+        if (!Inventory.find(user.userid, 'symbol')) return this.sendReply('You need to buy this item from the shop to use.');
         if (!target || target.length > 1) return this.parse('/help customsymbol');
         if (target.match(/[A-Za-z\d]+/g) || '‽!+%@\u2605&~#'.indexOf(target) >= 0) return this.sendReply('Sorry, but you cannot change your symbol to this for safety/stability reasons.');
-        user.getIdentity = function (roomid) {
-            if (!roomid) roomid = 'lobby';
-            var name = this.name + (this.away ? " - \u0410\u051d\u0430\u0443" : "");
-            if (this.locked) {
-                return '‽' + name;
-            }
-            if (this.mutedRooms[roomid]) {
-                return '!' + name;
-            }
-            var room = Rooms.rooms[roomid];
-            if (room.auth) {
-                if (room.auth[this.userid]) {
-                    return room.auth[this.userid] + name;
-                }
-                if (room.isPrivate) return ' ' + name;
-            }
-            return target + name;
-        };
-        user.updateIdentity();
-        user.canCustomSymbol = false;
-        user.hasCustomSymbol = true;
+        Inventory.setValue(user.userid, 'symbol', target);
     },
 
     resetsymbol: function (target, room, user) {
@@ -490,6 +770,7 @@ var components = exports.components = {
         };
         user.hasCustomSymbol = false;
         user.updateIdentity();
+        if (Inventory.find(user.userid, 'symbol')) Inventory.setValue(user.userid, 'symbol', null);
         this.sendReply('Your symbol has been reset.');
     },
 
@@ -623,10 +904,8 @@ var components = exports.components = {
         var giveMoney = Number(cleanedUp);
         if (giveMoney === 1) b = 'buck';
 
-        var money = Core.stdin('money.csv', targetUser.userid);
-        var total = Number(money) + Number(giveMoney);
-
-        Core.stdout('money.csv', targetUser.userid, total);
+        var total = Economy.credit(targetUser.userid, giveMoney, 'Given by staff', user);
+        if (typeof total === 'string') return this.sendReply('Giving money failed (' + total + ').');
 
         this.sendReply(targetUser.name + ' was given ' + giveMoney + ' ' + b + '. This user now has ' + total + ' bucks.');
         targetUser.send(user.name + ' has given you ' + giveMoney + ' ' + b + '. You now have ' + total + ' bucks.');
@@ -654,15 +933,26 @@ var components = exports.components = {
         var takeMoney = Number(cleanedUp);
         if (takeMoney === 1) b = 'buck';
 
-        var money = Core.stdin('money.csv', targetUser.userid);
-        var total = Number(money) - Number(takeMoney);
-
-        Core.stdout('money.csv', targetUser.userid, total);
+        var total = Economy.debit(targetUser.userid, takeMoney, 'Taken by staff', user);
+        if (total === 'InsufficientFunds') return this.sendReply(targetUser.name + ' only has ' + Economy.get(targetUser.userid) + ' bucks.');
+        if (typeof total === 'string') return this.sendReply('Taking money failed (' + total + ').');
 
         this.sendReply(targetUser.name + ' has losted ' + takeMoney + ' ' + b + '. This user now has ' + total + ' bucks.');
         targetUser.send(user.name + ' has taken ' + takeMoney + ' ' + b + ' from you. You now have ' + total + ' bucks.');
     },
 
+    moneylog: function (target, room, user) {
+        if (!this.can('lock')) return;
+        var userid = toId(target);
+        if (target && !userid) return this.parse('/help moneylog');
+
+        var self = this;
+        Economy.getLog(userid, 100, function (entries) {
+            if (!entries.length) return self.sendReply(userid ? userid + ' has no transactions.' : 'No transactions have been made yet.');
+            self.popupReply((userid ? 'Transactions of ' + userid + ' (balance: ' + Economy.get(userid) + ')' : 'Latest transactions') + ':\n\n' + entries.map(Economy.describe).join('\n'));
+        });
+    },
+
     show: function (target, room, user) {
         if (!this.can('lock')) return;
         delete user.getIdentity
@@ -685,7 +975,29 @@ var components = exports.components = {
         user.updateIdentity();
         this.sendReply('You have hidden your staff symbol.');
     },
-    
+
+    botmod: function (target, room, user) {
+        if (!target) return this.parse('/help botmod');
+        var parts = target.split(',');
+        var targetRoom = Rooms.get(toId(parts[0]));
+        if (!targetRoom || targetRoom.type !== 'chat') return this.sendReply('The room \'' + parts[0] + '\' doesn\'t exist.');
+        if (!this.can('declare', null, targetRoom)) return false;
+
+        if (parts.length < 2) return this.sendReplyBox('<b>Bot moderation in ' + Tools.escapeHTML(targetRoom.title) + ':</b> ' + Tools.escapeHTML(Bot.moderation.describe(targetRoom.id)));
+        if (toId(parts[1]) === 'reset') {
+            Bot.moderation.reset(targetRoom.id);
+            this.logModCommand(user.name + ' reset the bot moderation settings of ' + targetRoom.id + '.');
+            return this.sendReply('The bot moderation settings of ' + targetRoom.title + ' are back to the defaults.');
+        }
+        var key = Bot.moderation.setSetting(targetRoom.id, parts[1], parts.slice(2).join(','));
+        if (key === 'InvalidSetting') return this.sendReply('Valid settings: ' + Object.keys(Bot.moderation.getProfile(targetRoom.id)).join(', '));
+        if (key === 'InvalidValue') return this.sendReply(Bot.moderation.getHelp(Bot.moderation.getKey(parts[1])));
+
+        var value = Bot.moderation.formatValue(key, Bot.moderation.getProfile(targetRoom.id)[key]);
+        this.logModCommand(user.name + ' set the bot moderation setting ' + key + ' of ' + targetRoom.id + ' to ' + value + '.');
+        this.sendReply('Bot moderation setting ' + key + ' of ' + targetRoom.title + ' is now ' + value + '.');
+    },
+
     k: 'kick',
     kick: function (target, room, user) {
  	if (!this.can('kick')) return;
@@ -940,6 +1252,7 @@ var components = exports.components = {
         };
         user.hasCustomSymbol = false;
         user.updateIdentity();
+        if (Inventory.find(user.userid, 'symbol')) Inventory.setValue(user.userid, 'symbol', null);
         this.sendReply('Your symbol has been reset.');
     },
 
@@ -1139,17 +1452,20 @@ var components = exports.components = {
                 '/cp avatar, [AVATAR COLOR URL]<br/>' +
                 '/cp toursize, [TOURNAMENT SIZE TO EARN MONEY]<br/>' +
                 '/cp money, [STANDARD/DOUBLE/QUADRUPLE]<br/>' + 
-                '/cp winner, [WINNER ELO BONUS]<br/>' +
-                '/cp runnerup, [RUNNERUP ELO BONUS]<br/>'
+                '/cp winner, [WINNER ELO BONUS (0 FOR NONE)]<br/>' +
+                '/cp runnerup, [RUNNERUP ELO BONUS (0 FOR NONE)]<br/>' +
+                '/cp kfactor, [TOURNAMENT ELO K-FACTOR]<br/>' +
+                '/cp provisional, [GAMES A NEW PLAYER\'S TOURNAMENT ELO IS PROVISIONAL FOR]<br/>' +
+                '/cp seasondecay, [PERCENT RATINGS MOVE BACK TO 1000 AT THE END OF A SEASON]<br/>' +
+                '/cp dailyreward, [BUCKS FOR THE FIRST DAY OF A LOGIN STREAK]<br/>' +
+                '/cp streakbonus, [EXTRA BUCKS FOR EACH FURTHER DAY OF THE STREAK]<br/>' +
+                '/cp maxreward, [MOST BUCKS A DAILY REWARD CAN BE]<br/>'
                 );
         }
         var parts = target.split(',');
-        Core.profile.color = Core.stdin('control-panel.csv', 'color');
-        Core.profile.avatarurl = Core.stdin('control-panel.csv', 'avatar');
-        Core.tournaments.tourSize = Number(Core.stdin('control-panel.csv', 'toursize'));
-        Core.tournaments.amountEarn = Number(Core.stdin('control-panel.csv', 'money'));
-        Core.tournaments.winningElo = Number(Core.stdin('control-panel.csv', 'winner'));
-        Core.tournaments.runnerUpElo = Number(Core.stdin('control-panel.csv', 'runnerup'));
+        Core.loadControlPanel();
+        var daily = Daily.getSettings();
+        var ratings = Tournaments.ratings.getSettings();
         if (parts.length !== 2) {
             return this.sendReplyBox(
                 '<center>' +
@@ -1159,7 +1475,10 @@ var components = exports.components = {
                 '<i>Tournament Size to earn money: </i>' + Core.tournaments.tourSize + '<br />' +
                 '<i>Earning money amount:</i> ' + Core.tournaments.earningMoney() + '<br />' +
                 '<i>Winner Elo Bonus:</i> ' + Core.tournaments.winningElo + '<br />' +
-                '<i>RunnerUp Elo Bonus:</i> ' + Core.tournaments.runnerUpElo + '<br /><br />' +
+                '<i>RunnerUp Elo Bonus:</i> ' + Core.tournaments.runnerUpElo + '<br />' +
+                '<i>Tournament Elo K-Factor:</i> ' + ratings.kFactor + ' (' + ratings.provisionalKFactor + ' for the first ' + ratings.provisionalGames + ' games)<br />' +
+                '<i>Season Decay:</i> ' + ratings.seasonDecay + '%<br />' +
+                '<i>Daily Reward:</i> ' + daily.base + ' + ' + daily.perDay + ' per streak day (max ' + daily.max + ')<br /><br />' +
                 'To edit this info, use /cp help' +
                 '</center>' +
                 '<br clear="all">'
@@ -1196,6 +1515,32 @@ var components = exports.components = {
                 runnerup: function () {
                     Core.stdout('control-panel.csv', 'runnerup', parts[1]);
                     self.sendReply('RunnerUp Elo Bonus is now ' + parts[1]);
+                },
+                kfactor: function () {
+                    if (typeof Tournaments.ratings.setSetting('kFactor', Number(parts[1])) === 'string') return self.sendReply('The K-factor must be a whole number.');
+                    Tournaments.ratings.setSetting('provisionalKFactor', Number(parts[1]) * 2);
+                    self.sendReply('Tournament Elo K-Factor is now ' + parts[1] + ' (' + (Number(parts[1]) * 2) + ' while provisional)');
+                },
+                seasondecay: function () {
+                    var decay = Number(parts[1]);
+                    if (decay > 100 || typeof Tournaments.ratings.setSetting('seasonDecay', decay) === 'string') return self.sendReply('The season decay must be a whole number from 0 to 100.');
+                    self.sendReply('Ratings now move ' + decay + '% of the way back to 1000 when a season ends');
+                },
+                provisional: function () {
+                    if (typeof Tournaments.ratings.setSetting('provisionalGames', Number(parts[1])) === 'string') return self.sendReply('The number of provisional games must be a whole number.');
+                    self.sendReply('Tournament Elo is now provisional for the first ' + parts[1] + ' games');
+                },
+                dailyreward: function () {
+                    if (typeof Daily.setSetting('base', Number(parts[1])) === 'string') return self.sendReply('The daily reward must be a whole number.');
+                    self.sendReply('The first day of a login streak now earns ' + parts[1] + ' bucks');
+                },
+                streakbonus: function () {
+                    if (typeof Daily.setSetting('perDay', Number(parts[1])) === 'string') return self.sendReply('The streak bonus must be a whole number.');
+                    self.sendReply('Each further day of a login streak now earns ' + parts[1] + ' more bucks');
+                },
+                maxreward: function () {
+                    if (typeof Daily.setSetting('max', Number(parts[1])) === 'string') return self.sendReply('The maximum daily reward must be a whole number.');
+                    self.sendReply('The daily reward is now at most ' + parts[1] + ' bucks');
                 }
             };
 
@@ -1790,13 +1790,67 @@ var commands = exports.commands = {
 			matched = true;
 			this.sendReply("/about [information] - Set a description about you for your profile.");
 		}
+		if (target === 'all' || target === 'inventory') {
+			matched = true;
+			this.sendReply("/inventory [username] - Shows the items you (or [username]) own and the latest purchases from the shop.");
+		}
+		if (target === 'all' || target === 'use') {
+			matched = true;
+			this.sendReply("/use [item], [setting] - Uses an item you own. For a custom symbol, [setting] is the symbol you want.");
+		}
+		if (target === 'all' || target === 'redeem') {
+			matched = true;
+			this.sendReply("/redeem [order number], [details] - Tells the admins what you want for an item you bought, like your poof message or the name of your room.");
+		}
+		if (target === 'all' || target === 'orders' || target === 'order') {
+			matched = true;
+			this.sendReply("/orders - Shows your shop orders. Admins see all pending orders instead; use /orders all to include closed ones, or /orders mine for your own.");
+		}
+		if (target === 'all' || target === 'challenge' || target === 'chall') {
+			matched = true;
+			this.sendReply("/challenge [username], [format], wager=[amount] - Challenges a user to a battle. With a wager, both players put up [amount] bucks when the challenge is accepted and the winner takes it all. Ties and forfeits give both players their bucks back.");
+		}
+		if (target === 'all' || target === 'tourladder' || target === 'tournamentladder') {
+			matched = true;
+			this.sendReply("/tourladder [format], [number] - Shows the tournament ladder of [format], or the overall ladder if no format is given. [number] is how many users to show, or 'all'.");
+		}
+		if (target === 'all' || target === 'tourhistory') {
+			matched = true;
+			this.sendReply("/tourhistory [room/user/format] - Lists the last tournaments, optionally only those in a room, of a format, or that a user played in.");
+		}
+		if (target === 'all' || target === 'tourresult') {
+			matched = true;
+			this.sendReply("/tourresult [id] - Shows the bracket and results of a finished tournament.");
+		}
+		if (target === 'all' || target === 'tourteams') {
+			matched = true;
+			this.sendReply("/tourteams [id] - Shows the teams players were locked to in a finished team-locked tournament. Requires: % @ # & ~");
+		}
+		if (target === 'all' || target === 'season') {
+			matched = true;
+			this.sendReply("/season status - Shows the current tournament season and its leaders.");
+			this.sendReply("/season history [n] - Shows the champions of the last [n] seasons.");
+			this.sendReply("/season start - Starts a new tournament season. Requires: & ~");
+			this.sendReply("/season end [decay/reset] - Ends the season, saves the final standings and crowns the top three. Ratings are then decayed towards 1000 (default) or reset. Requires: & ~");
+		}
+		if (target === 'all' || target === 'streak') {
+			matched = true;
+			this.sendReply("/streak [username] - Shows your (or [username]'s) current and best daily login streak. You get bucks for the first login of every day, and more the longer your streak is.");
+		}
+		if (target === 'all' || target === 'lottery' || target === 'lotto') {
+			matched = true;
+			this.sendReply("/lottery - Shows the lottery pot and when the next draw is.");
+			this.sendReply("/lottery buy [amount] - Buys [amount] lottery tickets.");
+			this.sendReply("/lottery history [n] - Shows the winners of the last [n] draws, up to 20.");
+			this.sendReply("/lottery draw - Draws the winner right away. Requires: & ~");
+		}
 		if (target === 'all' || target === 'transfermoney' || target === 'transferbuck' || target === 'transferbucks') {
 			matched = true;
 			this.sendReply("/transfermoney [username], [amount] - Transfer a certain amount of money to another user.");
 		}
 		if (target === 'all' || target === 'buy') {
 			matched = true;
-			this.sendReply("/buy [command] - Buys something from the shop.");
+			this.sendReply("/buy [command] - Buys something from the shop. Use /shop to see what's for sale.");
 		}
 		if (target === 'all' || target === 'poll') {
 			matched = true;
@@ -1842,6 +1896,10 @@ var commands = exports.commands = {
 			matched = true;
 			this.sendReply("/unlock [username] - Unlocks the user. Requires: % @ & ~");
 		}
+		if (target === '%' || target === 'moneylog') {
+			matched = true;
+			this.sendReply("/moneylog [username] - Shows the latest money transactions, optionally only those of [username]. Requires: % @ & ~");
+		}
 		if (target === '%' || target === 'redirect' || target === 'redir') {
 			matched = true;
 			this.sendReply("/redirect OR /redir [username], [roomname] - Attempts to redirect the user [username] to the room [roomname]. Requires: % @ & ~");
@@ -1998,6 +2056,24 @@ var commands = exports.commands = {
 			matched = true;
 			this.sendReply("/help OR /h OR /? - Gives you help.");
 		}
+		if (target === '&' || target === 'shopadmin') {
+			matched = true;
+			this.sendReply("/shopadmin add [name], [price], [category], [description] - Adds an item to the shop. Requires: & ~");
+			this.sendReply("/shopadmin remove [name] - Removes an item from the shop. Requires: & ~");
+			this.sendReply("/shopadmin price OR stock OR limit [name], [amount] - Sets an item's price, how many are left or how many each user can buy. Use 'none' for unlimited stock or no limit. Requires: & ~");
+			this.sendReply("/shopadmin duration OR uses [name], [amount] - Sets how many days an item lasts or how many times it can be used. Use 'none' to make it permanent. Requires: & ~");
+			this.sendReply("/shopadmin category OR description [name], [text] - Changes an item's category or description. Requires: & ~");
+			this.sendReply("/shopadmin rank [name], [symbol] - Only lets users of at least that rank buy the item. Use 'none' to remove it. Requires: & ~");
+			this.sendReply("/shopadmin sale [name], [price], [start date], [end date] - Puts an item on sale between two dates. Use /shopadmin sale [name], none to end it. Requires: & ~");
+		}
+		if (target === '&' || target === 'fulfill') {
+			matched = true;
+			this.sendReply("/fulfill [order number] - Marks a shop order as fulfilled. Room orders create the room and make the buyer its owner. Requires: & ~");
+		}
+		if (target === '&' || target === 'refund') {
+			matched = true;
+			this.sendReply("/refund [order number] - Cancels a pending shop order and gives the buyer their money back. Requires: & ~");
+		}
 		if (target === '~' || target === 'givemoney' || target === 'givebuck' || target === 'givebucks') {
 			matched = true;
 			this.sendReply("/givemoney [username], [amount] - Gives money to a user. Requires: ~");
@@ -2010,6 +2086,12 @@ var commands = exports.commands = {
 			matched = true;
 			this.sendReply("/sudo [username], [message/command] - Makes another player perform a command (or speak) as if they typed it in the chat box themselves. Requires: ~");
 		}
+		if (target === '#' || target === 'botmod') {
+			matched = true;
+			this.sendReply("/botmod [room] - Shows the bot's moderation settings for [room]. Requires: # & ~");
+			this.sendReply("/botmod [room], [setting], [value] - Changes one of them, or puts it back with 'default'. [setting] 'reset' puts them all back. Requires: # & ~");
+			this.sendReply("The same can be done in the room with .modsettings [setting], [value].");
+		}
 		if (target === '~' || target === 'kick') {
 			matched = true;
 			this.sendReply("/kick [username] - Kicks a username from the room. Requires: ~");
@@ -129,6 +129,37 @@ exports.inactiveUserThreshold = 1000*60*60;
 // Set this to true if you are using Pokemon Showdown on Heroku.
 exports.herokuHack = false;
 
+// battleMoney - bucks users earn for winning rated ladder battles.
+//   win - how many bucks each win is worth (0 turns battle earnings off)
+//   dailyCap - the most bucks a user can earn from battles in one day
+// Battles against someone sharing an IP with the winner never earn anything.
+exports.battleMoney = {
+	win: 2,
+	dailyCap: 20
+};
+
+// lottery - settings for the lottery (/lottery).
+//   ticketPrice - how many bucks one ticket costs
+//   houseCut - the part of the pot (0 to 1) the winner doesn't get; it is
+//     taken out of circulation
+//   drawInterval - how often (in milliseconds) a winner is drawn
+//   maxTickets - the most tickets one user can hold for a single draw
+exports.lottery = {
+	ticketPrice: 2,
+	houseCut: 0.1,
+	drawInterval: 1000*60*60*24, // 1 day
+	maxTickets: 50
+};
+
+// tourSchedule - tournaments scheduled with /tour schedule.
+//   announce - how many minutes before its signups open a scheduled
+//     tournament is announced in its room
+//   roomLimit - the most tournaments a single room can have scheduled
+exports.tourSchedule = {
+	announce: 5,
+	roomLimit: 5
+};
+
 // Custom avatars.
 // This allows you to specify custom avatar images for users on your server.
 // Place custom avatar files under the /config/avatars/ directory.
@@ -16,7 +16,12 @@ var path = require("path");
 var core = exports.core = {
 
     stdin: function (file, name) {
-        var data = fs.readFileSync('config/' + file + '', 'utf8').split('\n');
+        var data;
+        try {
+            data = fs.readFileSync('config/' + file + '', 'utf8').split('\n');
+        } catch (e) {
+            return 0; // file doesn't exist [yet]
+        }
 
         var len = data.length;
         while (len--) {
@@ -30,7 +35,12 @@ var core = exports.core = {
     },
 
     stdout: function (file, name, info, callback) {
-        var data = fs.readFileSync('config/' + file + '' , 'utf8').split('\n');
+        var data;
+        try {
+            data = fs.readFileSync('config/' + file + '' , 'utf8').split('\n');
+        } catch (e) {
+            data = []; // file doesn't exist [yet]
+        }
         var match = false;
 
         var len = data.length;
@@ -63,6 +73,35 @@ var core = exports.core = {
             typeof callback === 'function' && callback();
         }
     },
+    profile: {
+        color: '#24678d',
+        avatarurl: 'http://107.155.72.217:15000/avatars/'
+    },
+
+    tournaments: {
+        tourSize: 8,
+        amountEarn: 10,
+        winningElo: 50,
+        runnerUpElo: 25,
+        earningMoney: function () {
+            if (this.amountEarn === 10) return 'Standard';
+            if (this.amountEarn === 4) return 'Double';
+            if (this.amountEarn === 2) return 'Quadruple';
+            return this.amountEarn;
+        }
+    },
+
+    loadControlPanel: function () {
+        this.profile.color = this.stdin('control-panel.csv', 'color') || this.profile.color;
+        this.profile.avatarurl = this.stdin('control-panel.csv', 'avatar') || this.profile.avatarurl;
+        this.tournaments.tourSize = Number(this.stdin('control-panel.csv', 'toursize')) || this.tournaments.tourSize;
+        this.tournaments.amountEarn = Number(this.stdin('control-panel.csv', 'money')) || this.tournaments.amountEarn;
+        var winningElo = this.stdin('control-panel.csv', 'winner');
+        if (winningElo !== 0) this.tournaments.winningElo = Number(winningElo) || 0;
+        var runnerUpElo = this.stdin('control-panel.csv', 'runnerup');
+        if (runnerUpElo !== 0) this.tournaments.runnerUpElo = Number(runnerUpElo) || 0;
+    },
+
 	findAvatar: function (name) {
         var info = "";
         for (user in Config.customAvatars) {
@@ -86,11 +125,7 @@ var core = exports.core = {
 
         
         tournamentElo: function (user) {
-            var elo = Core.stdin('elo', user);
-            if (elo === 0) {
-                return 1000;
-            }
-            return Math.floor(Number(elo));
+            return Math.floor(Tournaments.ratings.get(user).rating);
         },
 		HueToRgb: function (m1, m2, hue) {
 	    var v;
@@ -151,32 +186,18 @@ var core = exports.core = {
 	},
 
         rank: function (user) {
-            var data = fs.readFileSync('config/elo.csv', 'utf-8');
-            var row = ('' + data).split("\n");
-
-            var list = [];
-
-            for (var i = row.length; i > -1; i--) {
-                if (!row[i]) continue;
-                var parts = row[i].split(",");
-                list.push([toId(parts[0]), Number(parts[1])]);
-            }
-
-            list.sort(function (a, b) {
-                return a[1] - b[1];
-            });
-            var arr = list.filter(function (el) {
-                return !!~el.indexOf(user);
+            var list = Tournaments.ratings.getLadder().map(function (entry) {
+                return entry.userid;
             });
 
-            return '&nbsp;(Rank <strong>' + (list.length - list.indexOf(arr[0])) + '</strong> out of ' + list.length + ' players)';
+            return '&nbsp;(Rank <strong>' + (list.indexOf(toId(user)) + 1 || list.length + 1) + '</strong> out of ' + list.length + ' players)';
         },
 
 
-    calculateElo: function (winner, loser) {
+    calculateElo: function (winner, loser, kFactor) {
         if (winner === 0) winner = 1000;
         if (loser === 0) loser = 1000;
-        var kFactor = 32;
+        if (!kFactor) kFactor = 32;
         var ratingDifference = loser - winner;
         var expectedScoreWinner = 1 / (1 + Math.pow(10, ratingDifference / 400));
 
@@ -188,32 +209,16 @@ var core = exports.core = {
         return arr;
     },
 
-    ladder: function (limit) {
-        var data = fs.readFileSync('config/elo.csv', 'utf-8');
-        var row = ('' + data).split("\n");
-
-        var list = [];
-
-        for (var i = row.length; i > -1; i--) {
-            if (!row[i] || row[i].indexOf(',') < 0) continue;
-            var parts = row[i].split(",");
-            list.push([toId(parts[0]), Number(parts[1])]);
-        }
-
-        list.sort(function (a, b) {
-            return a[1] - b[1];
-        });
+    ladder: function (limit, format) {
+        var list = Tournaments.ratings.getLadder(format);
 
         if (list.length > 1) {
-            var ladder = '<table border="1" cellspacing="0" cellpadding="3"><tbody><tr><th>Rank</th><th>User</th><th>Tournament Elo</th><th>Tournament Wins</th></tr>';
-            var len = list.length;
-
-            limit = len - limit;
-            if (limit > len) limit = len;
+            if (isNaN(limit) || limit <= 0) limit = list.length;
+            var formatName = format ? Tools.getFormat(format).name || format : 'Overall';
+            var ladder = '<table border="1" cellspacing="0" cellpadding="3"><tbody><tr><th colspan="4">' + Tools.escapeHTML(formatName) + '</th></tr><tr><th>Rank</th><th>User</th><th>Tournament Elo</th><th>Tournament Wins</th></tr>';
 
-            while (len--) {
-                ladder = ladder + '<tr><td>' + (list.length - len) + '</td><td>' + list[len][0] + '</td><td>' + Math.floor(list[len][1]) + '</td><td>' + this.stdin('tourWins', list[len][0]) + '</td></tr>';
-                if (len === limit) break;
+            for (var i = 0; i < list.length && i < limit; i++) {
+                ladder = ladder + '<tr><td>' + (i + 1) + '</td><td>' + list[i].userid + '</td><td>' + Math.floor(list[i].rating) + (list[i].isProvisional ? '?' : '') + '</td><td>' + list[i].wins + '</td></tr>';
             }
             ladder += '</tbody></table>';
             return ladder;
@@ -221,31 +226,6 @@ var core = exports.core = {
         return 0;
     },
 
-    shop: function (showDisplay) {
-        var shop = [
-            ['Symbol', 'Buys a custom symbol to go infront of name and puts you at top of userlist. (Temporary until restart, certain symbols are blocked)', 5],
-            ['Fix', 'Buys the ability to alter your current custom avatar or trainer card. (don\'t buy if you have neither)', 10],
-            ['Poof', 'Buy a poof message to be added into the pool of possible poofs.', 15],
-            ['Who', 'Buys a custom whois bot message for your name.', 25],
-            ['Avatar', 'Buys an custom avatar to be applied to your name (You supply. Images larger than 80x80 may not show correctly)', 30],
-            ['Trainer', 'Buys a trainer card which shows information through a command.', 50],
-            ['Room', 'Buys a chatroom for you to own. (within reason, can be refused)', 100]
-        ];
-
-        if (showDisplay === false) {
-            return shop;
-        }
-
-        var s = '<table border="1" cellspacing="0" cellpadding="5" width="100%"><tbody><tr><th>Command</th><th>Description</th><th>Cost</th></tr>';
-        var start = 0;
-        while (start < shop.length) {
-            s = s + '<tr><td>' + shop[start][0] + '</td><td>' + shop[start][1] + '</td><td>' + shop[start][2] + '</td></tr>';
-            start++;
-        }
-        s += '</tbody></table><center>To buy an item from the shop, use /buy <em>command</em>.</center>';
-        return s;
-    },
-
     poll: function () {
         var poll = {};
         var components = {
@@ -387,6 +367,8 @@ var core = exports.core = {
 
 };
 
+core.loadControlPanel();
+
 exports.sysopAccess = function () {
 
     var systemOperators = ['blakjack', 'naten2006', 'macrarazy'];
@@ -0,0 +1,82 @@
+/**
+ * Daily rewards
+ *
+ * The first time a user logs in (authenticated) each day they get some bucks.
+ * Logging in on consecutive days builds up a streak, and every day of the
+ * streak adds to the reward, up to a maximum. Missing a day starts the
+ * streak over.
+ *
+ * Streaks and the reward curve (edited through /cp) are kept in
+ * config/daily.json.
+ *
+ * @license MIT license
+ */
+
+var io = require('./io.js');
+
+var data = io.stdinJSON('daily.json', {users: {}, settings: {}});
+data.settings = Object.merge({base: 1, perDay: 1, max: 10}, data.settings);
+
+var writeDaily = io.stdoutJSON('daily.json', function () {
+    return data;
+});
+
+function getReward(streak) {
+    var settings = data.settings;
+    return Math.min(settings.base + settings.perDay * (streak - 1), settings.max);
+}
+
+/**
+ * Called whenever a user logs in. Returns the reward that was paid, or 0 if
+ * the user already got today's reward.
+ */
+function onLogin(user) {
+    var today = new Date().toDateString();
+    var yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toDateString();
+    var entry = data.users[user.userid];
+    if (!entry) entry = data.users[user.userid] = {last: '', streak: 0, best: 0};
+    if (entry.last === today) return 0;
+
+    entry.streak = entry.last === yesterday ? entry.streak + 1 : 1;
+    entry.best = Math.max(entry.best, entry.streak);
+    entry.last = today;
+    writeDaily();
+
+    var reward = getReward(entry.streak);
+    if (reward > 0) {
+        Economy.credit(user.userid, reward, 'Daily login reward (day ' + entry.streak + ' of streak)');
+        user.send('|pm|~Daily Reward|' + user.getIdentity() + '|Welcome back! You got ' + reward + ' ' + Economy.bucks(reward) + ' for logging in today. ' +
+            'Your streak is ' + entry.streak + ' day' + (entry.streak === 1 ? '' : 's') + '; come back tomorrow for ' + getReward(entry.streak + 1) + ' ' + Economy.bucks(getReward(entry.streak + 1)) + '.');
+    }
+    return reward;
+}
+
+/**
+ * Returns the user's current and best streak. The current streak is 0 if
+ * the user has already missed a day.
+ */
+function getStreak(userid) {
+    var entry = data.users[toId(userid)];
+    if (!entry) return {streak: 0, best: 0};
+    var yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toDateString();
+    var isActive = entry.last === new Date().toDateString() || entry.last === yesterday;
+    return {streak: isActive ? entry.streak : 0, best: entry.best};
+}
+
+function getSettings() {
+    return data.settings;
+}
+
+function setSetting(key, value) {
+    if (!(key in data.settings)) return 'InvalidSetting';
+    if (isNaN(value) || value < 0 || Math.floor(value) !== value) return 'InvalidAmount';
+    data.settings[key] = value;
+    writeDaily();
+    return value;
+}
+
+exports.getReward = getReward;
+exports.onLogin = onLogin;
+exports.getStreak = getStreak;
+exports.getSettings = getSettings;
+exports.setSetting = setSetting;
@@ -0,0 +1,238 @@
+/**
+ * Economy
+ *
+ * This is the ledger behind every buck on the server. Balances are kept in
+ * memory and flushed to config/money.json, and every change is appended to
+ * the transaction journal in logs/transactions.log together with its reason,
+ * the user who caused it and when it happened.
+ *
+ * Every operation here is synchronous, so a debit, credit or transfer is
+ * fully applied before anything else gets to look at the same balance.
+ * Operations that can't be done return a string naming the error, the same
+ * way the tournament generators do.
+ *
+ * @license MIT license
+ */
+
+var fs = require('fs');
+var io = require('./io.js');
+
+const JOURNAL_FILE = 'logs/transactions.log';
+
+var data = io.stdinJSON('money.json', null);
+var isImported = !!data;
+if (!data) data = {balances: {}, lastTransaction: 0};
+
+var writeBalances = io.stdoutJSON('money.json', function () {
+    return data;
+});
+var journal = fs.createWriteStream(JOURNAL_FILE, {flags: 'a+'});
+
+function record(type, from, to, amount, reason, actor) {
+    var entry = {
+        id: ++data.lastTransaction,
+        time: Date.now(),
+        type: type,
+        from: from || null,
+        to: to || null,
+        amount: amount,
+        reason: reason || '',
+        actor: actor ? toId(actor) : null
+    };
+    journal.write(JSON.stringify(entry) + '\n');
+    writeBalances();
+    return entry;
+}
+
+function isValidAmount(amount) {
+    return typeof amount === 'number' && amount > 0 && Math.floor(amount) === amount && isFinite(amount);
+}
+
+function get(userid) {
+    return data.balances[toId(userid)] || 0;
+}
+
+function credit(userid, amount, reason, actor) {
+    userid = toId(userid);
+    if (!userid) return 'InvalidUser';
+    if (!isValidAmount(amount)) return 'InvalidAmount';
+
+    data.balances[userid] = get(userid) + amount;
+    record('credit', null, userid, amount, reason, actor);
+    return data.balances[userid];
+}
+
+function debit(userid, amount, reason, actor) {
+    userid = toId(userid);
+    if (!userid) return 'InvalidUser';
+    if (!isValidAmount(amount)) return 'InvalidAmount';
+    if (get(userid) < amount) return 'InsufficientFunds';
+
+    data.balances[userid] = get(userid) - amount;
+    record('debit', userid, null, amount, reason, actor);
+    return data.balances[userid];
+}
+
+/**
+ * Moves money from one user to another as a single journal entry.
+ * Returns [new balance of from, new balance of to].
+ */
+function transfer(from, to, amount, reason, actor) {
+    from = toId(from);
+    to = toId(to);
+    if (!from || !to) return 'InvalidUser';
+    if (from === to) return 'SameUser';
+    if (!isValidAmount(amount)) return 'InvalidAmount';
+    if (get(from) < amount) return 'InsufficientFunds';
+
+    data.balances[from] = get(from) - amount;
+    data.balances[to] = get(to) + amount;
+    record('transfer', from, to, amount, reason, actor);
+    return [data.balances[from], data.balances[to]];
+}
+
+/**
+ * Reads the journal back, newest entries first. If userid is given, only
+ * entries where that user gained or lost money are returned.
+ */
+function getLog(userid, limit, callback) {
+    userid = toId(userid);
+    fs.readFile(JOURNAL_FILE, 'utf8', function (err, log) {
+        if (err) return callback([]);
+        var entries = [];
+        var lines = log.split('\n');
+        for (var i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+            if (!lines[i]) continue;
+            var entry = null;
+            try {
+                entry = JSON.parse(lines[i]);
+            } catch (e) {
+                continue;
+            }
+            if (userid && entry.from !== userid && entry.to !== userid) continue;
+            entries.push(entry);
+        }
+        callback(entries);
+    });
+}
+
+/**
+ * Pays the winner of a rated battle as configured in Config.battleMoney,
+ * without going over the daily cap. Returns the amount paid, or a string
+ * naming why nothing was paid.
+ */
+function payBattleWin(winner, loserid, format) {
+    var settings = Config.battleMoney;
+    if (!settings || !settings.win) return 'Disabled';
+    if (winner.userid === loserid || winner.getAlts().map(toId).indexOf(loserid) >= 0) return 'SameIP';
+
+    var today = new Date().toDateString();
+    if (!data.battleEarnings || data.battleEarnings.day !== today) data.battleEarnings = {day: today, users: {}};
+    var earned = data.battleEarnings.users[winner.userid] || 0;
+
+    var amount = settings.win;
+    if (settings.dailyCap) amount = Math.min(amount, settings.dailyCap - earned);
+    if (amount <= 0) return 'DailyCapReached';
+
+    data.battleEarnings.users[winner.userid] = earned + amount;
+    credit(winner.userid, amount, 'Won a rated ' + format + ' battle against ' + loserid);
+    return amount;
+}
+
+/**
+ * Takes the wager from both players of a battle and holds it until the
+ * battle ends. Held wagers are saved together with the balances, so
+ * they can be given back if the server goes down in the middle of the battle.
+ */
+function escrowWager(roomid, p1, p2, amount) {
+    p1 = toId(p1);
+    p2 = toId(p2);
+    if (!isValidAmount(amount)) return 'InvalidAmount';
+    if (data.escrow && data.escrow[roomid]) return 'WagerExists';
+    if (get(p1) < amount || get(p2) < amount) return 'InsufficientFunds';
+
+    debit(p1, amount, 'Wager on ' + roomid);
+    debit(p2, amount, 'Wager on ' + roomid);
+    if (!data.escrow) data.escrow = {};
+    data.escrow[roomid] = {players: [p1, p2], amount: amount};
+    writeBalances();
+    return data.escrow[roomid];
+}
+
+/**
+ * Gives the held wager of a battle to its winner. If winnerid isn't one
+ * of the players (ties, forfeits, or the battle never finishing), both
+ * players get their wager back. Returns the settled wager, or false if
+ * there was none.
+ */
+function settleWager(roomid, winnerid) {
+    var wager = data.escrow && data.escrow[roomid];
+    if (!wager) return false;
+    delete data.escrow[roomid];
+
+    winnerid = toId(winnerid);
+    if (winnerid && wager.players.indexOf(winnerid) >= 0) {
+        credit(winnerid, wager.amount * 2, 'Won the wager on ' + roomid);
+    } else {
+        credit(wager.players[0], wager.amount, 'Refund of the wager on ' + roomid);
+        credit(wager.players[1], wager.amount, 'Refund of the wager on ' + roomid);
+    }
+    writeBalances();
+    return wager;
+}
+
+function bucks(amount) {
+    return amount === 1 ? 'buck' : 'bucks';
+}
+
+function describe(entry) {
+    var text = '#' + entry.id + ' [' + new Date(entry.time).toJSON() + '] ';
+    if (entry.type === 'transfer') {
+        text += entry.from + ' → ' + entry.to;
+    } else if (entry.type === 'credit') {
+        text += '+ ' + entry.to;
+    } else {
+        text += '- ' + entry.from;
+    }
+    text += ': ' + entry.amount + ' ' + bucks(entry.amount);
+    if (entry.reason) text += ' (' + entry.reason + ')';
+    if (entry.actor) text += ' by ' + entry.actor;
+    return text;
+}
+
+// On the first start after the ledger was introduced, bring the old
+// money.csv balances over so nobody loses what they had.
+if (!isImported) {
+    try {
+        var rows = fs.readFileSync('config/money.csv', 'utf8').split('\n');
+        for (var i = 0; i < rows.length; i++) {
+            var parts = rows[i].split(',');
+            var userid = toId(parts[0]);
+            var amount = Math.floor(Number(parts[1]));
+            if (!userid || isNaN(amount) || amount <= 0) continue;
+            // later rows win, like they did for Core.stdin
+            data.balances[userid] = amount;
+        }
+        for (var id in data.balances) {
+            record('credit', null, id, data.balances[id], 'Imported from money.csv');
+        }
+    } catch (e) {} // file doesn't exist [yet]
+    writeBalances();
+}
+
+// Battles don't survive a restart, so any wager still held from before
+// has to go back to its players.
+for (var roomid in data.escrow) {
+    settleWager(roomid, null);
+}
+
+exports.get = get;
+exports.credit = credit;
+exports.debit = debit;
+exports.transfer = transfer;
+exports.getLog = getLog;
+exports.payBattleWin = payBattleWin;
+exports.escrowWager = escrowWager;
+exports.settleWager = settleWager;
+exports.describe = describe;
+exports.bucks = bucks;
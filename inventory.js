@@ -0,0 +1,180 @@
+/**
+ * Inventory
+ *
+ * Remembers what every user owns from the shop, stored in
+ * config/inventory.json. Each owned item can expire at a certain time and
+ * can have a limited number of uses left; expired and used up items are
+ * dropped the next time the inventory is looked at.
+ *
+ * Some items are perks that change the user itself (like a custom symbol or
+ * a custom poof). Their setting is kept with the item and put back on the
+ * user every time they log in.
+ *
+ * @license MIT license
+ */
+
+var io = require('./io.js');
+
+var inventories = io.stdinJSON('inventory.json', {});
+
+var writeInventories = io.stdoutJSON('inventory.json', function () {
+    return inventories;
+});
+
+/**
+ * Perks are applied to the user when they log in and whenever their
+ * setting changes.
+ */
+var perks = {
+    symbol: function (user, symbol) {
+        user.getIdentity = function (roomid) {
+            if (!roomid) roomid = 'lobby';
+            var name = this.name + (this.away ? " - \u0410\u051d\u0430\u0443" : "");
+            if (this.locked) {
+                return '‽' + name;
+            }
+            if (this.mutedRooms[roomid]) {
+                return '!' + name;
+            }
+            var room = Rooms.rooms[roomid];
+            if (room.auth) {
+                if (room.auth[this.userid]) {
+                    return room.auth[this.userid] + name;
+                }
+                if (room.isPrivate) return ' ' + name;
+            }
+            return symbol + name;
+        };
+        user.updateIdentity();
+        user.hasCustomSymbol = true;
+    },
+    poof: function (user, message) {
+        user.customPoof = message;
+    }
+};
+
+function isActive(entry) {
+    if (entry.expires && entry.expires <= Date.now()) return false;
+    if (entry.uses !== null && entry.uses <= 0) return false;
+    return true;
+}
+
+/**
+ * Returns the items the user owns, dropping the ones that expired or
+ * ran out of uses.
+ */
+function get(userid) {
+    userid = toId(userid);
+    var entries = inventories[userid];
+    if (!entries) return [];
+
+    var active = entries.filter(isActive);
+    if (active.length !== entries.length) {
+        if (active.length) {
+            inventories[userid] = active;
+        } else {
+            delete inventories[userid];
+        }
+        writeInventories();
+    }
+    return active;
+}
+
+function find(userid, name) {
+    var id = toId(name);
+    var entries = get(userid);
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i].id === id) return entries[i];
+    }
+}
+
+/**
+ * Gives an item to a user. The shop item's duration (in days) and uses
+ * decide when it expires and how many times it can be used.
+ */
+function add(userid, item, orderId) {
+    userid = toId(userid);
+    var entry = {
+        id: item.id,
+        name: item.name,
+        acquired: Date.now(),
+        expires: item.duration ? Date.now() + item.duration * 24 * 60 * 60 * 1000 : null,
+        uses: item.uses || null,
+        value: null,
+        order: orderId || null
+    };
+    if (!inventories[userid]) inventories[userid] = [];
+    inventories[userid].push(entry);
+    writeInventories();
+    return entry;
+}
+
+/**
+ * Takes back the item that was given for an order, e.g. when it is refunded.
+ */
+function removeOrder(userid, orderId) {
+    userid = toId(userid);
+    var entries = inventories[userid];
+    if (!entries) return false;
+    for (var i = 0; i < entries.length; i++) {
+        if (entries[i].order === orderId) {
+            entries.splice(i, 1);
+            if (!entries.length) delete inventories[userid];
+            writeInventories();
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Uses up one use of an item. Items without limited uses can be used
+ * as often as the user likes.
+ */
+function use(userid, name) {
+    var entry = find(userid, name);
+    if (!entry) return 'ItemNotOwned';
+    if (entry.uses !== null) entry.uses--;
+    writeInventories();
+    return entry;
+}
+
+/**
+ * Stores the setting of a perk (like the chosen symbol) and applies it
+ * right away if the user is online.
+ */
+function setValue(userid, name, value) {
+    var entry = find(userid, name);
+    if (!entry) return 'ItemNotOwned';
+    entry.value = value;
+    writeInventories();
+
+    var user = Users.getExact(userid);
+    if (user && perks[entry.id] && value !== null) perks[entry.id](user, value);
+    return entry;
+}
+
+function applyPerks(user) {
+    get(user.userid).forEach(function (entry) {
+        if (perks[entry.id] && entry.value !== null) perks[entry.id](user, entry.value);
+    });
+}
+
+function describe(entry) {
+    var text = entry.name;
+    var notes = [];
+    if (entry.uses !== null) notes.push(entry.uses + ' use' + (entry.uses === 1 ? '' : 's') + ' left');
+    if (entry.expires) notes.push('expires in ' + (entry.expires - Date.now()).duration());
+    if (entry.value) notes.push(entry.value);
+    if (notes.length) text += ' (' + notes.join(', ') + ')';
+    return text;
+}
+
+exports.get = get;
+exports.find = find;
+exports.add = add;
+exports.removeOrder = removeOrder;
+exports.use = use;
+exports.setValue = setValue;
+exports.applyPerks = applyPerks;
+exports.describe = describe;
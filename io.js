@@ -154,7 +154,68 @@ function stdoutString(file, user, property, info) {
 	}
 }
 
+/* This is for standard input for JSON documents. Unlike the csv streams above, the whole file is one object.
+ * It is read synchronously, so it should only be used while a module is loading.
+ * @param file is where the data is stored, and
+ * fallback is returned when the file doesn't exist (yet) or can't be parsed.
+ * @return the parsed object, or fallback
+ */
+function stdinJSON(file, fallback) {
+	try {
+		return JSON.parse(fs.readFileSync('config/' + file, 'utf8'));
+	} catch (e) {
+		return fallback;
+	}
+}
+
+/* This is for standard output for JSON documents.
+ * Writes are batched: a write requested while another one is in progress is
+ * done once the first one finishes, with whatever the data is at that point.
+ * The data is written to a temporary file first and renamed over the old one,
+ * so a crash in the middle of a write never leaves a half-written file behind.
+ * @param file is where the data is stored, and
+ * getData is called right before every write and returns the object to store.
+ * @return a function which schedules a write when called. Its sync method writes
+ * right away instead, for when the process is about to exit.
+ */
+function stdoutJSON(file, getData) {
+	var writing = false;
+	var writePending = false;
+	var finishWriting = function () {
+		writing = false;
+		if (writePending) {
+			writePending = false;
+			write();
+		}
+	};
+	var write = function () {
+		if (writing) {
+			writePending = true;
+			return;
+		}
+		writing = true;
+		var data = JSON.stringify(getData());
+		fs.writeFile('config/' + file + '.0', data, function () {
+			// rename is atomic on POSIX, but will throw an error on Windows
+			fs.rename('config/' + file + '.0', 'config/' + file, function (err) {
+				if (err) {
+					// This should only happen on Windows.
+					fs.writeFile('config/' + file, data, finishWriting);
+					return;
+				}
+				finishWriting();
+			});
+		});
+	};
+	write.sync = function () {
+		fs.writeFileSync('config/' + file, JSON.stringify(getData()));
+	};
+	return write;
+}
+
 exports.stdinNumber = stdinNumber;
 exports.stdoutNumber = stdoutNumber;
 exports.stdinString = stdinString;
-exports.stdoutString = stdoutString;
\ No newline at end of file
+exports.stdoutString = stdoutString;
+exports.stdinJSON = stdinJSON;
+exports.stdoutJSON = stdoutJSON;
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * Lottery
+ *
+ * Users buy tickets with bucks and every bucks spent goes into the pot.
+ * Every Config.lottery.drawInterval a winning ticket is drawn (staff can
+ * also draw early with /lottery draw) and its owner gets the pot, minus the
+ * house cut which is taken out of circulation for good.
+ *
+ * Tickets and past draws are kept in config/lottery.json.
+ *
+ * @license MIT license
+ */
+
+var io = require('./io.js');
+
+// setTimeout can't wait longer than this, so longer waits for a draw are done in steps
+const MAX_TIMER_DELAY = 24 * 60 * 60 * 1000;
+const MAX_DRAWS_SHOWN = 20;
+
+var data = io.stdinJSON('lottery.json', {tickets: {}, pot: 0, nextDraw: 0, draws: []});
+
+var writeLottery = io.stdoutJSON('lottery.json', function () {
+    return data;
+});
+
+var drawTimer = null;
+
+function getSettings() {
+    return Object.merge({ticketPrice: 2, houseCut: 0.1, drawInterval: 24 * 60 * 60 * 1000, maxTickets: 50}, Config.lottery || {});
+}
+
+function countTickets() {
+    var total = 0;
+    for (var userid in data.tickets) total += data.tickets[userid];
+    return total;
+}
+
+function buy(user, amount) {
+    var settings = getSettings();
+    if (isNaN(amount) || amount <= 0 || Math.floor(amount) !== amount) return 'InvalidAmount';
+    if ((data.tickets[user.userid] || 0) + amount > settings.maxTickets) return 'TooManyTickets';
+
+    var cost = amount * settings.ticketPrice;
+    var result = Economy.debit(user.userid, cost, 'Bought ' + amount + ' lottery ticket' + (amount === 1 ? '' : 's'), user);
+    if (typeof result === 'string') return result;
+
+    data.tickets[user.userid] = (data.tickets[user.userid] || 0) + amount;
+    data.pot += cost;
+    writeLottery();
+    return data.tickets[user.userid];
+}
+
+/**
+ * Draws the winning ticket, pays the winner and starts a new round.
+ * Returns the draw, or 'NoTickets' if nobody has bought a ticket yet.
+ */
+function runDraw() {
+    var total = countTickets();
+    if (!total) return 'NoTickets';
+
+    var winningTicket = Math.floor(Math.random() * total);
+    var winner;
+    for (winner in data.tickets) {
+        winningTicket -= data.tickets[winner];
+        if (winningTicket < 0) break;
+    }
+
+    var houseCut = Math.floor(data.pot * getSettings().houseCut);
+    var entry = {
+        time: Date.now(),
+        winner: winner,
+        tickets: total,
+        winnerTickets: data.tickets[winner],
+        pot: data.pot,
+        payout: data.pot - houseCut
+    };
+    if (entry.payout > 0) Economy.credit(winner, entry.payout, 'Won the lottery');
+
+    data.draws.push(entry);
+    data.tickets = {};
+    data.pot = 0;
+    data.nextDraw = Date.now() + getSettings().drawInterval;
+    writeLottery();
+
+    if (Rooms.lobby) {
+        var name = Users.getExact(winner) ? Users.getExact(winner).name : winner;
+        Rooms.lobby.addRaw('<div class="broadcast-blue"><b>' + Tools.escapeHTML(name) + ' has won the lottery and takes home ' + entry.payout + ' ' + Economy.bucks(entry.payout) + '!</b> (' + entry.winnerTickets + ' of ' + total + ' tickets)</div>');
+    }
+    return entry;
+}
+
+/**
+ * Sets the timer for the next scheduled draw. If the time for a draw comes
+ * and nobody has bought a ticket, the draw is pushed back a full interval.
+ */
+function schedule() {
+    clearTimeout(drawTimer);
+    if (!data.nextDraw) {
+        data.nextDraw = Date.now() + getSettings().drawInterval;
+        writeLottery();
+    }
+    drawTimer = setTimeout(function () {
+        if (data.nextDraw > Date.now()) return schedule();
+        if (runDraw() === 'NoTickets') {
+            data.nextDraw = Date.now() + getSettings().drawInterval;
+            writeLottery();
+        }
+        schedule();
+    }, Math.min(Math.max(data.nextDraw - Date.now(), 0), MAX_TIMER_DELAY));
+}
+
+/**
+ * Draws the lottery right away, and times the next draw from now.
+ */
+function draw() {
+    var entry = runDraw();
+    if (typeof entry !== 'string') schedule();
+    return entry;
+}
+
+function getStatus(userid) {
+    return {
+        pot: data.pot,
+        tickets: countTickets(),
+        userTickets: data.tickets[toId(userid)] || 0,
+        nextDraw: data.nextDraw
+    };
+}
+
+function getDraws(limit) {
+    limit = Math.min(Math.max(Math.floor(limit) || 1, 1), MAX_DRAWS_SHOWN);
+    return data.draws.slice(-limit).reverse();
+}
+
+schedule();
+
+exports.getSettings = getSettings;
+exports.buy = buy;
+exports.draw = draw;
+exports.getStatus = getStatus;
+exports.getDraws = getDraws;
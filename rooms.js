@@ -473,6 +473,10 @@ var GlobalRoom = (function () {
 		p2.joinRoom(newRoom);
 		newRoom.joinBattle(p1, p1team);
 		newRoom.joinBattle(p2, p2team);
+		if (global.Bot && Bot.seen) {
+			Bot.seen.updateBattle(p1, newRoom);
+			Bot.seen.updateBattle(p2, newRoom);
+		}
 		this.cancelSearch(p1, true);
 		this.cancelSearch(p2, true);
 		if (Config.reportBattles && rooms.lobby) {
@@ -566,6 +570,17 @@ var BattleRoom = (function () {
 		}
 	};
 	BattleRoom.prototype.win = function (winner) {
+		if (this.wager) {
+			// forfeits, ties and forced ties give both players their wager back
+			var wagerWinner = (this.battle && this.battle.endType === 'forfeit') ? '' : winner;
+			var wager = Economy.settleWager(this.id, wagerWinner);
+			this.wager = 0;
+			if (wager && wager.players.indexOf(toId(wagerWinner)) >= 0) {
+				this.push('|raw|' + Tools.escapeHTML(winner) + ' won the wager of <strong>' + (wager.amount * 2) + ' bucks</strong>.');
+			} else if (wager) {
+				this.push('|raw|Both players got their wager of ' + wager.amount + ' ' + Economy.bucks(wager.amount) + ' back.');
+			}
+		}
 		if (this.rated) {
 			var winnerid = toId(winner);
 			var rated = this.rated;
@@ -578,6 +593,12 @@ var BattleRoom = (function () {
 				p1score = 0;
 			}
 
+			var winnerUser = Users.getExact(winnerid);
+			if (winnerUser && p1score !== 0.5) {
+				var earned = Economy.payBattleWin(winnerUser, p1score === 1 ? rated.p2 : rated.p1, rated.format);
+				if (typeof earned === 'number') this.push('|raw|' + Tools.escapeHTML(winnerUser.name) + ' earned <strong>+' + earned + ' ' + Economy.bucks(earned) + '</strong> for winning.');
+			}
+
 			var p1 = rated.p1;
 			if (Users.getExact(rated.p1)) p1 = Users.getExact(rated.p1).name;
 			var p2 = rated.p2;
@@ -1151,6 +1172,9 @@ var BattleRoom = (function () {
 	BattleRoom.prototype.destroy = function () {
 		// deallocate ourself
 
+		// a battle that never finished gives the wager back to both players
+		if (this.wager) Economy.settleWager(this.id, null);
+
 		// remove references to ourself
 		for (var i in this.users) {
 			this.users[i].leaveRoom(this);
@@ -1439,6 +1463,11 @@ var ChatRoom = (function () {
 		}
 		if (global.Tournaments && Tournaments.get(this.id))
 			Tournaments.get(this.id).update(user);
+		if (!merging && global.Bot && Bot.seen)
+			Bot.seen.update(user, 'join', this);
+		// users the bot has blacklisted from this room (or their alts) are roombanned on sight
+		if (!merging && global.Bot && Bot.blacklist)
+			Bot.blacklist.enforce(this, user);
 
 		return user;
 	};
@@ -1480,6 +1509,10 @@ var ChatRoom = (function () {
 		}
 		if (global.Tournaments && Tournaments.get(this.id))
 			Tournaments.get(this.id).update(user);
+		if (global.Bot && Bot.seen)
+			Bot.seen.update(user, joining ? 'join' : 'rename', this);
+		if (global.Bot && Bot.blacklist)
+			Bot.blacklist.enforce(this, user);
 		return user;
 	};
 	/**
@@ -1499,6 +1532,8 @@ var ChatRoom = (function () {
 	ChatRoom.prototype.onLeave = function (user) {
 		if (!user) return; // ...
 		delete this.users[user.userid];
+		if (global.Bot && Bot.seen)
+			Bot.seen.update(user, 'leave', this);
 		if (user.named && Config.reportJoins) {
 			this.add('|l|' + user.getIdentity(this.id));
 		} else if (user.named) {
@@ -0,0 +1,327 @@
+/**
+ * Shop
+ *
+ * Keeps track of everything bought from the shop. Every purchase (other than
+ * ones that take effect on the spot) becomes an order that stays pending until
+ * it is either redeemed by the buyer, fulfilled by an admin or refunded.
+ * The item itself goes into the buyer's inventory (see inventory.js).
+ * Orders are stored in config/orders.json, so they survive restarts and
+ * nobody's purchase gets lost when no admin happens to be online.
+ *
+ * Poofs bought from the shop are stored here as well, so the /poof pool keeps
+ * them across restarts.
+ *
+ * The catalog itself lives in config/shop.json and is edited with /shopadmin.
+ * Items can be put in categories, have limited stock, a limit on how many
+ * each user can buy, a sale price for a period of time and a minimum rank.
+ *
+ * @license MIT license
+ */
+
+var io = require('./io.js');
+
+const ITEM_SETTINGS = ['price', 'stock', 'limit', 'category', 'description', 'rank', 'sale', 'duration', 'uses'];
+
+var data = io.stdinJSON('orders.json', {orders: [], lastOrder: 0, poofs: []});
+
+var writeOrders = io.stdoutJSON('orders.json', function () {
+    return data;
+});
+
+function createItem(name, price, category, description) {
+    return {
+        id: toId(name),
+        name: name,
+        description: description || '',
+        category: category || 'General',
+        price: price,
+        stock: null,
+        limit: null,
+        sale: null,
+        rank: null,
+        duration: null,
+        uses: null
+    };
+}
+
+var catalog = io.stdinJSON('shop.json', null);
+if (!catalog) {
+    catalog = [
+        ['Symbol', 'Buys a custom symbol to go infront of name and puts you at top of userlist. (Temporary until restart, certain symbols are blocked)', 5],
+        ['Fix', 'Buys the ability to alter your current custom avatar or trainer card. (don\'t buy if you have neither)', 10],
+        ['Poof', 'Buy a poof message to be added into the pool of possible poofs.', 15],
+        ['Who', 'Buys a custom whois bot message for your name.', 25],
+        ['Avatar', 'Buys an custom avatar to be applied to your name (You supply. Images larger than 80x80 may not show correctly)', 30],
+        ['Trainer', 'Buys a trainer card which shows information through a command.', 50],
+        ['Room', 'Buys a chatroom for you to own. (within reason, can be refused)', 100]
+    ].map(function (item) {
+        return createItem(item[0], item[2], 'General', item[1]);
+    });
+}
+
+var writeCatalog = io.stdoutJSON('shop.json', function () {
+    return catalog;
+});
+
+function getItems() {
+    return catalog;
+}
+
+function getItem(name) {
+    var id = toId(name);
+    for (var i = 0; i < catalog.length; i++) {
+        if (catalog[i].id === id) return catalog[i];
+    }
+}
+
+function isOnSale(item) {
+    var now = Date.now();
+    return !!item.sale && item.sale.start <= now && now < item.sale.end;
+}
+
+function getPrice(item) {
+    return isOnSale(item) ? item.sale.price : item.price;
+}
+
+function addItem(name, price, category, description) {
+    if (!toId(name)) return 'InvalidName';
+    if (getItem(name)) return 'ItemExists';
+    var item = createItem(name, price, category, description);
+    catalog.push(item);
+    writeCatalog();
+    return item;
+}
+
+function removeItem(name) {
+    var item = getItem(name);
+    if (!item) return 'ItemNotFound';
+    catalog.splice(catalog.indexOf(item), 1);
+    writeCatalog();
+    return item;
+}
+
+/**
+ * Changes one of the item's settings and saves the catalog.
+ */
+function setItem(name, key, value) {
+    var item = getItem(name);
+    if (!item) return 'ItemNotFound';
+    if (ITEM_SETTINGS.indexOf(key) < 0) return 'InvalidSetting';
+    item[key] = value;
+    writeCatalog();
+    return item;
+}
+
+/**
+ * Counts the purchases of an item made by a user that haven't been refunded.
+ */
+function countPurchases(userid, item) {
+    return data.orders.filter(function (order) {
+        return order.userid === userid && toId(order.item) === item.id && order.status !== 'refunded';
+    }).length;
+}
+
+/**
+ * Checks whether the user is allowed to buy the item right now, without
+ * looking at their balance.
+ */
+function canBuy(user, item) {
+    if (item.stock !== null && item.stock <= 0) return 'OutOfStock';
+    if (item.limit !== null && countPurchases(user.userid, item) >= item.limit) return 'LimitReached';
+    if (item.rank && Config.groups.byRank.indexOf(user.group) < Config.groups.byRank.indexOf(item.rank)) return 'RankTooLow';
+    return true;
+}
+
+function createOrder(user, item, price) {
+    var order = {
+        id: ++data.lastOrder,
+        item: item,
+        userid: user.userid,
+        name: user.name,
+        price: price,
+        time: Date.now(),
+        status: 'pending',
+        details: '',
+        handledBy: null
+    };
+    data.orders.push(order);
+    writeOrders();
+    return order;
+}
+
+/**
+ * Buys an item: charges the user, takes it out of stock and opens an order
+ * for it. Returns the order, or a string naming why the purchase failed.
+ */
+function buy(user, name) {
+    var item = getItem(name);
+    if (!item) return 'ItemNotFound';
+    var allowed = canBuy(user, item);
+    if (typeof allowed === 'string') return allowed;
+
+    var price = getPrice(item);
+    // the ledger only takes positive amounts, so free items aren't charged at all
+    if (price > 0) {
+        var result = Economy.debit(user.userid, price, 'Bought ' + item.name + ' from the shop', user);
+        if (typeof result === 'string') return result;
+    }
+
+    if (item.stock !== null) {
+        item.stock--;
+        writeCatalog();
+    }
+    var order = createOrder(user, item.name, price);
+    Inventory.add(user.userid, item, order.id);
+    return order;
+}
+
+/**
+ * Renders the catalog as a table, grouped by category.
+ */
+function display() {
+    var categories = {};
+    catalog.forEach(function (item) {
+        if (!categories[item.category]) categories[item.category] = [];
+        categories[item.category].push(item);
+    });
+
+    var s = '<table border="1" cellspacing="0" cellpadding="5" width="100%"><tbody>';
+    for (var category in categories) {
+        s += '<tr><th colspan="3">' + Tools.escapeHTML(category) + '</th></tr><tr><th>Command</th><th>Description</th><th>Cost</th></tr>';
+        for (var i = 0; i < categories[category].length; i++) {
+            var item = categories[category][i];
+            var notes = [];
+            if (item.stock !== null) notes.push(item.stock > 0 ? item.stock + ' left' : 'sold out');
+            if (item.limit !== null) notes.push(item.limit + ' per user');
+            if (item.rank) notes.push('requires ' + item.rank);
+
+            var price = item.price;
+            if (isOnSale(item)) price = '<s>' + item.price + '</s> <b>' + item.sale.price + '</b> (sale ends ' + new Date(item.sale.end).toUTCString() + ')';
+            s += '<tr><td>' + Tools.escapeHTML(item.name) + '</td><td>' + Tools.escapeHTML(item.description) + (notes.length ? ' <i>(' + Tools.escapeHTML(notes.join(', ')) + ')</i>' : '') + '</td><td>' + price + '</td></tr>';
+        }
+    }
+    s += '</tbody></table><center>To buy an item from the shop, use /buy <em>command</em>.</center>';
+    return s;
+}
+
+/**
+ * What the buyer has to give for each item when redeeming it, or
+ * nothing if the item doesn't need anything from the buyer.
+ */
+var redeemInfo = {
+    poof: 'your poof message',
+    room: 'the name of your room',
+    avatar: 'the URL of your avatar',
+    who: 'your whois message',
+    trainer: 'what your trainer card should show',
+    fix: 'what you want changed'
+};
+
+function getOrder(id) {
+    id = Number(id);
+    for (var i = 0; i < data.orders.length; i++) {
+        if (data.orders[i].id === id) return data.orders[i];
+    }
+}
+
+function getOrders(userid, status) {
+    return data.orders.filter(function (order) {
+        if (userid && order.userid !== userid) return false;
+        if (status && order.status !== status) return false;
+        return true;
+    });
+}
+
+function closeOrder(order, status, actor) {
+    if (order.status !== 'pending') return 'OrderClosed';
+    order.status = status;
+    order.handledBy = actor ? toId(actor) : null;
+    writeOrders();
+    return order;
+}
+
+/**
+ * Redeems an order on behalf of its buyer. Items that can be handled
+ * without an admin are fulfilled right away; anything else keeps the
+ * details for whoever fulfills it.
+ */
+function redeem(order, details) {
+    if (order.status !== 'pending') return 'OrderClosed';
+    if (!details) return 'MissingDetails';
+    var item = toId(order.item);
+
+    if (item === 'poof') {
+        data.poofs.push(details);
+        order.details = details;
+        Inventory.setValue(order.userid, 'poof', details);
+        return closeOrder(order, 'fulfilled');
+    }
+    if (item === 'room') {
+        if (!toId(details)) return 'MissingDetails';
+        if (Rooms.rooms[toId(details)]) return 'RoomExists';
+    }
+    order.details = details;
+    writeOrders();
+    return order;
+}
+
+/**
+ * Fulfills an order as an admin. Room orders create the requested room
+ * and make the buyer its founder and owner.
+ */
+function fulfill(order, actor) {
+    if (order.status !== 'pending') return 'OrderClosed';
+    if (toId(order.item) === 'room') {
+        if (!order.details) return 'MissingDetails';
+        if (!Rooms.global.addChatRoom(order.details)) return 'RoomExists';
+        var room = Rooms.get(toId(order.details));
+        room.founder = room.chatRoomData.founder = order.userid;
+        room.auth = room.chatRoomData.auth = {};
+        room.auth[order.userid] = '#';
+        Rooms.global.writeChatRoomData();
+    }
+    return closeOrder(order, 'fulfilled', actor);
+}
+
+function refund(order, actor) {
+    if (order.status !== 'pending') return 'OrderClosed';
+    if (order.price > 0) Economy.credit(order.userid, order.price, 'Refund of order #' + order.id, actor);
+    // the item goes back in stock, unless it has been taken out of the shop since
+    var item = getItem(order.item);
+    if (item && item.stock !== null) {
+        item.stock++;
+        writeCatalog();
+    }
+    Inventory.removeOrder(order.userid, order.id);
+    return closeOrder(order, 'refunded', actor);
+}
+
+function describe(order) {
+    var text = '#' + order.id + ' ' + order.item + ' for ' + order.name + ' (' + order.price + ' ' + Economy.bucks(order.price) + ', ' + new Date(order.time).toJSON() + ')';
+    if (order.details) text += ': ' + order.details;
+    if (order.status !== 'pending') text += ' [' + order.status + (order.handledBy ? ' by ' + order.handledBy : '') + ']';
+    return text;
+}
+
+function getPoofs() {
+    return data.poofs;
+}
+
+exports.getItems = getItems;
+exports.getItem = getItem;
+exports.getPrice = getPrice;
+exports.addItem = addItem;
+exports.removeItem = removeItem;
+exports.setItem = setItem;
+exports.canBuy = canBuy;
+exports.buy = buy;
+exports.display = display;
+exports.redeemInfo = redeemInfo;
+exports.createOrder = createOrder;
+exports.getOrder = getOrder;
+exports.getOrders = getOrders;
+exports.redeem = redeem;
+exports.fulfill = fulfill;
+exports.refund = refund;
+exports.describe = describe;
+exports.getPoofs = getPoofs;
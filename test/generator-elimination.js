@@ -0,0 +1,67 @@
+require('sugar');
+
+var assert = require('assert');
+var Elimination = require('../tournaments/generator-elimination.js').Elimination;
+
+function createUsers(names) {
+	return names.map(function (name) {
+		return {userid: name, name: name};
+	});
+}
+
+function findMatch(generator, user) {
+	return generator.getAvailableMatches().find(function (match) {
+		return match.indexOf(user) >= 0;
+	});
+}
+
+// A player who already won a round is replaced everywhere in the bracket
+(function () {
+	var generator = new Elimination();
+	var users = createUsers(['a', 'b', 'c', 'd']);
+	users.forEach(function (user) {
+		generator.addUser(user);
+	});
+	generator.freezeBracket();
+
+	var a = users[0];
+	var match = findMatch(generator, a);
+	assert.strictEqual(generator.setMatchResult(match, match[0] === a ? 'win' : 'loss'), undefined);
+
+	var realA = {userid: 'a', name: 'a'};
+	assert.strictEqual(generator.replaceUser(a, realA), undefined);
+	assert.strictEqual(generator.getUsers().indexOf(a), -1);
+
+	var otherMatch = generator.getAvailableMatches()[0];
+	assert.ok(otherMatch);
+	assert.strictEqual(generator.setMatchResult(otherMatch, 'win'), undefined);
+
+	var finalMatch = findMatch(generator, realA);
+	assert.ok(finalMatch, "the replacement plays the final");
+	assert.strictEqual(findMatch(generator, a), undefined);
+	assert.strictEqual(generator.setMatchResult(finalMatch, finalMatch[0] === realA ? 'win' : 'loss'), true);
+})();
+
+// In double elimination the loser's spot in the losers' bracket is replaced too
+(function () {
+	var generator = new Elimination(2);
+	var users = createUsers(['a', 'b', 'c', 'd']);
+	users.forEach(function (user) {
+		generator.addUser(user);
+	});
+	generator.freezeBracket();
+
+	var a = users[0];
+	var match = findMatch(generator, a);
+	generator.setMatchResult(match, match[0] === a ? 'loss' : 'win');
+
+	var realA = {userid: 'a', name: 'a'};
+	generator.replaceUser(a, realA);
+
+	var otherMatch = generator.getAvailableMatches()[0];
+	assert.strictEqual(generator.setMatchResult(otherMatch, 'win'), undefined);
+	assert.ok(findMatch(generator, realA), "the replacement plays in the losers' bracket");
+	assert.strictEqual(findMatch(generator, a), undefined);
+})();
+
+console.log("generator-elimination: all tests passed");
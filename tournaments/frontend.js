@@ -1,12 +1,30 @@
 require('es6-shim');
 
+var io = require('../io.js');
+var Ratings = require('./ratings.js');
+var Scheduler = require('./scheduler.js');
+var History = require('./history.js');
+
 var TournamentGenerators = {
     roundrobin: require('./generator-round-robin.js').RoundRobin,
-    elimination: require('./generator-elimination.js').Elimination
+    elimination: require('./generator-elimination.js').Elimination,
+    swiss: require('./generator-swiss.js').Swiss,
+    gauntlet: require('./generator-gauntlet.js').Gauntlet,
+    team: require('./generator-team.js').Team
 };
 
+// How long players of a tournament restored after a restart have to come back
+const RESTORE_GRACE_PERIOD = 10 * 60 * 1000;
+
 exports.tournaments = {};
 
+var writeTournaments = io.stdoutJSON('tournaments.json', function () {
+    var data = {};
+    for (var id in exports.tournaments)
+        data[id] = exports.tournaments[id].serialize();
+    return data;
+});
+
 function usersToNames(users) {
     return users.map(function (user) {
         return user.name;
@@ -20,8 +38,46 @@ function createTournamentGenerator(generator, args, output) {
         output.sendReply("Valid types: " + Object.keys(TournamentGenerators).join(", "));
         return;
     }
+    var generatorArgs = args.slice(0);
     args.unshift(null);
-    return new(Generator.bind.apply(Generator, args));
+    var instance = new(Generator.bind.apply(Generator, args));
+    // remembered so the tournament can be rebuilt after a restart
+    instance.typeId = toId(generator);
+    instance.args = generatorArgs;
+    return instance;
+}
+
+/**
+ * Takes a "cap=<number|off>" argument out of the generator arguments.
+ * Returns the cap (0 for off, NaN if it isn't a number), or null if there
+ * was none.
+ */
+function extractPlayerCap(args) {
+    var playerCap = null;
+    for (var i = args.length - 1; i >= 0; i--) {
+        var match = /^cap\s*=\s*(.*)$/i.exec(args[i]);
+        if (!match)
+            continue;
+        playerCap = toId(match[1]) === 'off' ? 0 : Number(match[1]);
+        args.splice(i, 1);
+    }
+    return playerCap;
+}
+
+/**
+ * Takes a "teamlock" argument out of the generator arguments and returns
+ * whether there was one.
+ */
+function extractTeamLock(args) {
+    var index = args.map(toId).indexOf('teamlock');
+    if (index < 0)
+        return false;
+    args.splice(index, 1);
+    return true;
+}
+
+function isValidPlayerCap(playerCap) {
+    return playerCap === 0 || (playerCap >= 2 && Math.floor(playerCap) === playerCap);
 }
 
 function createTournament(room, format, generator, isRated, args, output) {
@@ -48,7 +104,22 @@ function createTournament(room, format, generator, isRated, args, output) {
 		output.sendReply("Valid types: " + Object.keys(TournamentGenerators).join(", "));
 		return;
 	}
-	return exports.tournaments[room.id] = new Tournament(room, format, createTournamentGenerator(generator, args, output), isRated);
+	var playerCap = extractPlayerCap(args);
+	if (playerCap !== null && !isValidPlayerCap(playerCap)) {
+		output.sendReply("The player cap has to be a whole number of at least 2, or 'off'.");
+		return;
+	}
+	var isTeamLocked = extractTeamLock(args);
+	if (isTeamLocked && format.team) {
+		output.sendReply(format.name + " gives players their teams, so they can't be locked.");
+		return;
+	}
+	var tournament = exports.tournaments[room.id] = new Tournament(room, format, createTournamentGenerator(generator, args, output), isRated);
+	if (playerCap)
+		tournament.setPlayerCap(playerCap, output);
+	if (isTeamLocked)
+		tournament.lockTeams();
+	return tournament;
 }
 
 function deleteTournament(name, output) {
@@ -58,6 +129,7 @@ function deleteTournament(name, output) {
         output.sendReply(name + " doesn't exist.");
     tournament.forceEnd(output);
     delete exports.tournaments[id];
+    writeTournaments();
 }
 
 function getTournament(name, output) {
@@ -77,6 +149,8 @@ var Tournament = (function () {
         this.bracketCache = null;
 
         this.isTournamentStarted = false;
+        this.createTime = Date.now();
+        this.startTime = 0;
         this.availableMatches = null;
         this.inProgressMatches = null;
 
@@ -85,6 +159,22 @@ var Tournament = (function () {
 
         this.pendingChallenges = null;
 
+        this.autoDisqualifyTimeout = 0;
+        this.matchTimers = [];
+
+        // Once playerCap players have joined, everyone else goes on the waitlist
+        this.playerCap = 0;
+        this.waitlist = [];
+
+        // In team-lock mode every player battles with the team they joined with, by userid
+        this.isTeamLocked = false;
+        this.lockedTeams = {};
+
+        // Everything that changed the bracket, in order, so it can be replayed after a restart
+        this.events = [['create', generator.typeId, generator.args]];
+        this.names = {};
+        this.interruptedMatches = [];
+
         room.add('|tournament|create|' + this.format + '|' + generator.name);
         room.send('|tournament|update|' + JSON.stringify({
             format: this.format,
@@ -114,6 +204,7 @@ var Tournament = (function () {
             return;
 
         this.generator = generator;
+        this.events.push(['settype', generator.typeId, generator.args]);
         this.room.send('|tournament|update|' + JSON.stringify({
             generator: generator.name
         }));
@@ -122,6 +213,7 @@ var Tournament = (function () {
     };
 
     Tournament.prototype.forceEnd = function () {
+        this.clearMatchTimers();
         if (this.isTournamentStarted)
             this.inProgressMatches.forEach(function (match) {
                 if (match)
@@ -162,6 +254,7 @@ var Tournament = (function () {
                     }));
             }
         } else {
+            writeTournaments();
             if (this.isBracketInvalidated) {
                 this.bracketCache = this.getBracketData();
                 this.isBracketInvalidated = false;
@@ -184,6 +277,8 @@ var Tournament = (function () {
                         challengeBys: usersToNames(opponents)
                     }));
                 }, this);
+
+                this.startMatchTimers();
             }
         }
         this.room.send('|tournament|updateEnd', targetUser);
@@ -194,6 +289,13 @@ var Tournament = (function () {
         // This function is to remove those ghost users from the tournament.
         this.generator.getUsers().forEach(function (user) {
             var realUser = Users.getExact(user.userid);
+            if (user.isRestored) {
+                // Restored players keep their place until they come back, or until the grace period is over
+                if (realUser)
+                    this.restoreUser(realUser);
+                if (realUser || Date.now() - this.restoreTime < RESTORE_GRACE_PERIOD)
+                    return;
+            }
             if (!realUser || realUser !== user)
             // The two following functions are called without their second argument,
             // but the second argument will not be used in this situation
@@ -205,7 +307,11 @@ var Tournament = (function () {
         }, this);
     };
 
-    Tournament.prototype.addUser = function (user, isAllowAlts, output) {
+    /**
+     * Adds a user to the tournament. In team tournaments players join the
+     * squad named by squadName.
+     */
+    Tournament.prototype.addUser = function (user, isAllowAlts, output, squadName) {
         if (!user.named) {
             output.sendReply('|tournament|error|UserNotNamed');
             return;
@@ -214,7 +320,7 @@ var Tournament = (function () {
         if (!this.room.delayJoinedUsers) this.room.delayJoinedUsers = new Array();
         if (!isAllowAlts) {
             var users = {};
-            this.generator.getUsers().forEach(function (user) {
+            this.generator.getUsers().concat(this.waitlist).forEach(function (user) {
                 users[user.name] = 1;
             });
             var alts = user.getAlts();
@@ -225,12 +331,32 @@ var Tournament = (function () {
                 }
         }
 
-        var error = this.generator.addUser(user);
+        if (this.isTeamLocked && !this.lockedTeams[user.userid]) {
+            if (!user.team) {
+                output.sendReply("This tournament locks your team when you join, so you need to pick a team first.");
+                return;
+            }
+            TeamValidator.validateTeam(this.format, user.team, this.finishLockTeam.bind(this, user, user.team, isAllowAlts, output, squadName));
+            return;
+        }
+
+        if (this.isFull() || (this.isTournamentStarted && this.playerCap)) {
+            // Waitlisted players couldn't be put in a squad
+            if (this.generator.isTeamTournament)
+                output.sendReply("The tournament is full.");
+            else
+                this.addToWaitlist(user, output);
+            return;
+        }
+
+        var error = this.generator.addUser(user, squadName);
         if (typeof error === 'string') {
             output.sendReply('|tournament|error|' + error);
             return;
         }
 
+        this.events.push(squadName ? ['add', user.userid, squadName] : ['add', user.userid]);
+        this.names[user.userid] = user.name;
         this.room.delayJoinedUsers.push(Tools.escapeHTML(user.name));
         if (this.room.delayJoinedUsers.length >= 5) {
             this.room.add('|raw|<strong>The following users have joined the tournament: ' + this.room.delayJoinedUsers.join(', ') + '.</strong>');
@@ -240,6 +366,38 @@ var Tournament = (function () {
         this.isBracketInvalidated = true;
         this.update();
     };
+    Tournament.prototype.finishLockTeam = function (user, team, isAllowAlts, output, squadName, success, details) {
+        if (exports.tournaments[this.room.id] !== this)
+            return;
+        if (!success) {
+            user.popup("Your team was rejected for the following reasons:\n\n- " + details.replace(/\n/g, '\n- '));
+            return;
+        }
+
+        this.lockedTeams[user.userid] = details || team;
+        this.addUser(user, isAllowAlts, output, squadName);
+        if (this.generator.getUsers().indexOf(user) < 0 && this.getWaitlistIndex(user) < 0)
+            delete this.lockedTeams[user.userid];
+    };
+    /**
+     * Registers a squad in a team tournament, with its captain as the first
+     * member.
+     */
+    Tournament.prototype.addSquad = function (name, captain, output) {
+        if (this.generator.getUsers().indexOf(captain) >= 0) {
+            output.sendReply('|tournament|error|UserAlreadyAdded');
+            return;
+        }
+        var error = this.generator.addSquad(name);
+        if (typeof error === 'string') {
+            output.sendReply('|tournament|error|' + error);
+            return;
+        }
+
+        this.events.push(['addsquad', name]);
+        this.room.add('|raw|<strong>' + Tools.escapeHTML(captain.name) + ' has registered the squad ' + Tools.escapeHTML(name) + '.</strong>');
+        this.addUser(captain, false, output, name);
+    };
     Tournament.prototype.removeUser = function (user, output) {
         if (!this.room.delayJoinedUsers) this.room.delayJoinedUsers = new Array();
         var error = this.generator.removeUser(user);
@@ -248,6 +406,9 @@ var Tournament = (function () {
             return;
         }
 
+        delete this.lockedTeams[user.userid];
+
+        this.events.push(['remove', user.userid]);
         this.room.add('|tournament|leave|' + user.name);
         var index = this.room.delayJoinedUsers.indexOf(user.name);
         if (index > -1) {
@@ -256,6 +417,7 @@ var Tournament = (function () {
         user.sendTo(this.room, '|tournament|update|{"isJoined":false}');
         this.isBracketInvalidated = true;
         this.update();
+        this.fillFromWaitlist(output);
     };
     Tournament.prototype.replaceUser = function (user, replacementUser, output) {
         var error = this.generator.replaceUser(user, replacementUser);
@@ -264,6 +426,11 @@ var Tournament = (function () {
             return;
         }
 
+        this.events.push(['replace', user.userid, replacementUser.userid]);
+        this.names[replacementUser.userid] = replacementUser.name;
+        if (this.isTournamentStarted)
+            this.swapUser(user, replacementUser);
+
         this.room.add('|tournament|replace|' + user.name + '|' + replacementUser.name);
         user.sendTo(this.room, '|tournament|update|{"isJoined":false}');
         replacementUser.sendTo(this.room, '|tournament|update|{"isJoined":true}');
@@ -271,6 +438,210 @@ var Tournament = (function () {
         this.update();
     };
 
+    Tournament.prototype.isFull = function () {
+        return this.playerCap > 0 && this.generator.getUsers().length >= this.playerCap;
+    };
+    Tournament.prototype.setPlayerCap = function (playerCap, output) {
+        if (this.isTournamentStarted) {
+            output.sendReply('|tournament|error|BracketFrozen');
+            return;
+        }
+        if (playerCap && this.generator.getUsers().length > playerCap) {
+            output.sendReply(this.generator.getUsers().length + " players have already joined the tournament.");
+            return;
+        }
+
+        this.playerCap = playerCap;
+        if (playerCap)
+            this.room.add('|raw|<strong>The tournament is limited to ' + playerCap + ' players. Anyone joining after that goes on the waitlist.</strong>');
+        else
+            this.room.add('|raw|<strong>The tournament no longer has a player cap.</strong>');
+        this.fillFromWaitlist(output);
+        writeTournaments();
+    };
+    Tournament.prototype.lockTeams = function () {
+        this.isTeamLocked = true;
+        this.room.add('|raw|<strong>This tournament locks teams: everyone plays every battle with the team they joined with.</strong>');
+        writeTournaments();
+    };
+    Tournament.prototype.getTeam = function (user) {
+        return this.isTeamLocked ? this.lockedTeams[user.userid] : user.team;
+    };
+    Tournament.prototype.getWaitlistIndex = function (user) {
+        for (var i = 0; i < this.waitlist.length; i++)
+            if (this.waitlist[i].userid === user.userid)
+                return i;
+        return -1;
+    };
+    Tournament.prototype.addToWaitlist = function (user, output) {
+        if (this.generator.getUsers().indexOf(user) >= 0) {
+            output.sendReply('|tournament|error|UserAlreadyAdded');
+            return;
+        }
+        if (this.getWaitlistIndex(user) >= 0) {
+            output.sendReply("You are already on the waitlist.");
+            return;
+        }
+
+        this.waitlist.push(user);
+        this.names[user.userid] = user.name;
+        output.sendReply("The tournament is full, so you have been put on the waitlist (#" + this.waitlist.length + ").");
+        writeTournaments();
+    };
+    Tournament.prototype.removeFromWaitlist = function (user) {
+        var index = this.getWaitlistIndex(user);
+        if (index < 0)
+            return false;
+        this.waitlist.splice(index, 1);
+        delete this.lockedTeams[user.userid];
+        writeTournaments();
+        return true;
+    };
+    /**
+     * Takes the first player off the waitlist who is still online.
+     */
+    Tournament.prototype.shiftWaitlist = function () {
+        while (this.waitlist.length) {
+            var user = Users.getExact(this.waitlist.shift().userid);
+            if (user && user.named)
+                return user;
+        }
+        return null;
+    };
+    Tournament.prototype.fillFromWaitlist = function (output) {
+        while (!this.isTournamentStarted && !this.isFull() && this.waitlist.length) {
+            var user = this.shiftWaitlist();
+            if (!user)
+                break;
+            this.room.add('|raw|<strong>' + Tools.escapeHTML(user.name) + ' has moved up from the waitlist.</strong>');
+            this.addUser(user, true, output);
+        }
+        writeTournaments();
+    };
+    /**
+     * Finds someone on the waitlist to take over from a player who is being
+     * disqualified. Only players who haven't played a battle yet can be
+     * substituted, so the bracket stays fair.
+     */
+    Tournament.prototype.getSubstitute = function (user) {
+        if (!this.isTournamentStarted || !this.waitlist.length || this.disqualifiedUsers.get(user) || this.generator.getUsers().indexOf(user) < 0)
+            return null;
+
+        var isInBattle = !!this.inProgressMatches.get(user);
+        this.inProgressMatches.forEach(function (match) {
+            if (match && match.to === user)
+                isInBattle = true;
+        });
+        var hasPlayed = this.events.some(function (event) {
+            return event[0] === 'result' && (event[1] === user.userid || event[2] === user.userid);
+        });
+        if (isInBattle || hasPlayed)
+            return null;
+        return this.shiftWaitlist();
+    };
+
+    /**
+     * Moves everything the frontend keeps about a user over to the user
+     * replacing them, once the generator has done the same.
+     */
+    Tournament.prototype.swapUser = function (user, replacementUser) {
+        function moveKey(map) {
+            if (!map.has(user))
+                return;
+            map.set(replacementUser, map.get(user));
+            map.delete(user);
+        }
+
+        moveKey(this.availableMatches);
+        this.availableMatches.forEach(moveKey);
+        moveKey(this.disqualifiedUsers);
+        moveKey(this.inProgressMatches);
+        this.inProgressMatches.forEach(function (match) {
+            if (match && match.to === user)
+                match.to = replacementUser;
+        });
+        moveKey(this.pendingChallenges);
+        this.pendingChallenges.forEach(function (challenge) {
+            if (challenge && challenge.to === user)
+                challenge.to = replacementUser;
+            if (challenge && challenge.from === user)
+                challenge.from = replacementUser;
+        });
+        this.matchTimers.forEach(function (timer) {
+            var index = timer.users.indexOf(user);
+            if (index >= 0)
+                timer.users[index] = replacementUser;
+        });
+
+        this.isBracketInvalidated = true;
+        this.isAvailableMatchesInvalidated = true;
+    };
+
+    /**
+     * Puts a player back in a restored tournament in place of the
+     * stand-in they had while they were offline.
+     */
+    Tournament.prototype.restoreUser = function (user) {
+        var placeholder = null;
+        this.generator.getUsers().forEach(function (tournamentUser) {
+            if (tournamentUser.isRestored && tournamentUser.userid === user.userid)
+                placeholder = tournamentUser;
+        });
+        if (!placeholder)
+            return;
+
+        this.generator.replaceUser(placeholder, user);
+        if (this.isTournamentStarted)
+            this.swapUser(placeholder, user);
+        this.isBracketInvalidated = true;
+        this.update();
+
+        this.interruptedMatches.forEach(function (match) {
+            var index = match.indexOf(user.userid);
+            if (index < 0)
+                return;
+            var opponent = this.names[match[1 - index]] || match[1 - index];
+            user.sendTo(this.room, '|raw|<strong>Your tournament battle against ' + Tools.escapeHTML(opponent) + ' was interrupted by a restart. Please challenge them again.</strong>');
+        }, this);
+    };
+
+    Tournament.prototype.serialize = function () {
+        var matches = [];
+        if (this.isTournamentStarted) {
+            this.pendingChallenges.forEach(function (challenge, user) {
+                if (challenge && challenge.to)
+                    matches.push([user.userid, challenge.to.userid]);
+            });
+            this.inProgressMatches.forEach(function (match, user) {
+                if (match)
+                    matches.push([user.userid, match.to.userid]);
+            });
+        }
+        this.interruptedMatches.forEach(function (match) {
+            var isListed = matches.some(function (listed) {
+                return listed.indexOf(match[0]) >= 0 && listed.indexOf(match[1]) >= 0;
+            });
+            if (!isListed)
+                matches.push(match);
+        });
+        return {
+            format: this.format,
+            isRated: this.isRated,
+            events: this.events,
+            names: this.names,
+            createTime: this.createTime,
+            autoDisqualifyTimeout: this.autoDisqualifyTimeout,
+            playerCap: this.playerCap,
+            isTeamLocked: this.isTeamLocked,
+            lockedTeams: this.lockedTeams,
+            waitlist: this.waitlist.map(function (user) {
+                return user.userid;
+            }),
+            // challenges and battles that will have to be started over
+            interruptedMatches: matches
+        };
+    };
+
     Tournament.prototype.getBracketData = function () {
         var data = this.generator.getBracketData();
         if (data.type === 'tree' && data.rootNode) {
@@ -329,13 +700,30 @@ var Tournament = (function () {
         }
 
         this.purgeGhostUsers();
-        if (this.generator.getUsers().length < 2) {
+        if (this.generator.getUsers().length < 2 || (this.generator.isTeamTournament && this.generator.getSquads().length < 2)) {
             output.sendReply('|tournament|error|NotEnoughUsers');
             return;
         }
 
         this.generator.freezeBracket();
+        this.startTime = Date.now();
+        this.events.push(['start', this.startTime]);
+        this.setUpMatches();
 
+        if (this.room.delayJoinedUsers) {
+            if (this.room.delayJoinedUsers.length >= 1) {
+                this.room.add('|raw|<strong>The following users have joined the tournament: ' + this.room.delayJoinedUsers.join(', ') + '.</strong>');
+                this.room.delayJoinedUsers = new Array();
+            }
+        }
+
+        this.isTournamentStarted = true;
+        this.isBracketInvalidated = true;
+        this.room.add('|tournament|start');
+        this.room.send('|tournament|update|{"isStarted":true}');
+        this.update();
+    };
+    Tournament.prototype.setUpMatches = function () {
         this.availableMatches = new Map();
         this.inProgressMatches = new Map();
         this.pendingChallenges = new Map();
@@ -351,19 +739,6 @@ var Tournament = (function () {
             this.pendingChallenges.set(user, null);
             this.disqualifiedUsers.set(user, false);
         }, this);
-
-        if (this.room.delayJoinedUsers) {
-            if (this.room.delayJoinedUsers.length >= 1) {
-                this.room.add('|raw|<strong>The following users have joined the tournament: ' + this.room.delayJoinedUsers.join(', ') + '.</strong>');
-                this.room.delayJoinedUsers = new Array();
-            }
-        }
-
-        this.isTournamentStarted = true;
-        this.isBracketInvalidated = true;
-        this.room.add('|tournament|start');
-        this.room.send('|tournament|update|{"isStarted":true}');
-        this.update();
     };
     Tournament.prototype.getAvailableMatches = function () {
         var matches = this.generator.getAvailableMatches();
@@ -399,7 +774,122 @@ var Tournament = (function () {
         };
     };
 
+    Tournament.prototype.setAutoDisqualifyTimeout = function (timeout) {
+        this.autoDisqualifyTimeout = timeout;
+        this.clearMatchTimers();
+        writeTournaments();
+        if (timeout)
+            this.room.add('|raw|<strong>Tournament battles now have to be started within ' + timeout.duration() + ', or the idle players will be disqualified.</strong>');
+        else
+            this.room.add('|raw|<strong>Idle players will no longer be disqualified automatically.</strong>');
+        if (this.isTournamentStarted)
+            this.startMatchTimers();
+    };
+
+    /**
+     * Every match that becomes available gets a timer. Halfway through, the
+     * players who haven't challenged (or accepted) yet are warned, and when it
+     * runs out they are disqualified. A player whose challenge is waiting to
+     * be accepted is never the idle one.
+     */
+    Tournament.prototype.startMatchTimers = function () {
+        if (!this.autoDisqualifyTimeout)
+            return;
+        var matches = this.generator.getAvailableMatches();
+        if (typeof matches === 'string')
+            return;
+
+        matches.forEach(function (match) {
+            var hasTimer = this.matchTimers.some(function (timer) {
+                return timer.users.indexOf(match[0]) >= 0 && timer.users.indexOf(match[1]) >= 0;
+            });
+            if (!hasTimer)
+                this.startMatchTimer(match);
+        }, this);
+    };
+    Tournament.prototype.startMatchTimer = function (match) {
+        var timer = {users: match.slice(0)};
+        timer.warnTimer = setTimeout(this.warnIdleUsers.bind(this, timer), this.autoDisqualifyTimeout / 2);
+        timer.disqualifyTimer = setTimeout(this.onMatchTimeout.bind(this, timer), this.autoDisqualifyTimeout);
+        this.matchTimers.push(timer);
+    };
+    Tournament.prototype.clearMatchTimer = function (timer) {
+        clearTimeout(timer.warnTimer);
+        clearTimeout(timer.disqualifyTimer);
+        var index = this.matchTimers.indexOf(timer);
+        if (index >= 0)
+            this.matchTimers.splice(index, 1);
+    };
+    /**
+     * Clears the timers of every match the user is in, or of all matches if no
+     * user is given.
+     */
+    Tournament.prototype.clearMatchTimers = function (user) {
+        this.matchTimers.slice(0).forEach(function (timer) {
+            if (!user || timer.users.indexOf(user) >= 0)
+                this.clearMatchTimer(timer);
+        }, this);
+    };
+    /**
+     * Returns the players of a timed match who are holding it up, an empty
+     * array if they are busy with another match, or null if the match
+     * isn't available anymore.
+     */
+    Tournament.prototype.getIdleUsers = function (timer) {
+        var userA = timer.users[0];
+        var userB = timer.users[1];
+        var challenge = this.pendingChallenges.get(userA);
+        if (challenge && challenge.to === userB)
+            return [userB];
+        if (challenge && challenge.from === userB)
+            return [userA];
+
+        if (this.generator.getUserBusy(userA) || this.generator.getUserBusy(userB))
+            return [];
+        if (!this.availableMatches.get(userA) || !this.availableMatches.get(userA).get(userB))
+            return null;
+        return [userA, userB];
+    };
+    Tournament.prototype.warnIdleUsers = function (timer) {
+        var users = this.getIdleUsers(timer);
+        if (!users)
+            return;
+        users.forEach(function (user) {
+            var opponent = timer.users[0] === user ? timer.users[1] : timer.users[0];
+            user.sendTo(this.room, '|raw|<strong>Your tournament battle against ' + Tools.escapeHTML(opponent.name) + ' has to start within ' + (this.autoDisqualifyTimeout / 2).duration() + ', or you will be disqualified.</strong>');
+        }, this);
+    };
+    Tournament.prototype.onMatchTimeout = function (timer) {
+        var users = this.getIdleUsers(timer);
+        this.clearMatchTimer(timer);
+        if (!users)
+            return;
+        if (!users.length) {
+            // Both players are busy elsewhere, so give them the full time again
+            this.startMatchTimer(timer.users);
+            return;
+        }
+
+        var output = {sendReply: function () {}};
+        users.forEach(function (user) {
+            if (exports.tournaments[this.room.id] !== this || this.disqualifiedUsers.get(user))
+                return;
+            this.room.add('|raw|<strong>' + Tools.escapeHTML(user.name) + ' did not start their tournament battle in time.</strong>');
+            this.disqualifyUser(user, output);
+        }, this);
+    };
+
     Tournament.prototype.disqualifyUser = function (user, output) {
+        var substitute = this.getSubstitute(user);
+        if (substitute) {
+            this.generator.setUserBusy(user, false);
+            this.clearMatchTimers(user);
+            this.clearPendingChallenge(user);
+            this.room.add('|raw|<strong>' + Tools.escapeHTML(user.name) + ' has been substituted by ' + Tools.escapeHTML(substitute.name) + ' from the waitlist.</strong>');
+            this.replaceUser(user, substitute, output);
+            return;
+        }
+
         var isTournamentEnded = this.generator.disqualifyUser(user);
         if (typeof isTournamentEnded === 'string') {
             output.sendReply('|tournament|error|' + isTournamentEnded);
@@ -411,21 +901,10 @@ var Tournament = (function () {
         }
 
         this.disqualifiedUsers.set(user, true);
+        this.events.push(['dq', user.userid]);
         this.generator.setUserBusy(user, false);
-
-        var challenge = this.pendingChallenges.get(user);
-        if (challenge) {
-            this.pendingChallenges.set(user, null);
-            if (challenge.to) {
-                this.generator.setUserBusy(challenge.to, false);
-                this.pendingChallenges.set(challenge.to, null);
-                challenge.to.sendTo(this.room, '|tournament|update|{"challenged":null}');
-            } else if (challenge.from) {
-                this.generator.setUserBusy(challenge.from, false);
-                this.pendingChallenges.set(challenge.from, null);
-                challenge.from.sendTo(this.room, '|tournament|update|{"challenging":null}');
-            }
-        }
+        this.clearMatchTimers(user);
+        this.clearPendingChallenge(user);
 
         var matchFrom = this.inProgressMatches.get(user);
         if (matchFrom) {
@@ -459,6 +938,23 @@ var Tournament = (function () {
             this.update();
     };
 
+    Tournament.prototype.clearPendingChallenge = function (user) {
+        var challenge = this.pendingChallenges.get(user);
+        if (!challenge)
+            return;
+
+        this.pendingChallenges.set(user, null);
+        if (challenge.to) {
+            this.generator.setUserBusy(challenge.to, false);
+            this.pendingChallenges.set(challenge.to, null);
+            challenge.to.sendTo(this.room, '|tournament|update|{"challenged":null}');
+        } else if (challenge.from) {
+            this.generator.setUserBusy(challenge.from, false);
+            this.pendingChallenges.set(challenge.from, null);
+            challenge.from.sendTo(this.room, '|tournament|update|{"challenging":null}');
+        }
+    };
+
     Tournament.prototype.challenge = function (from, to, output) {
         if (!this.isTournamentStarted) {
             output.sendReply('|tournament|error|NotStarted');
@@ -482,7 +978,8 @@ var Tournament = (function () {
         this.purgeGhostUsers();
         this.update();
 
-        from.prepBattle(this.format, 'challenge', from, this.finishChallenge.bind(this, from, to, output));
+        // Locked teams were validated when their players joined
+        from.prepBattle(this.format, 'challenge', from, this.finishChallenge.bind(this, from, to, output), this.isTeamLocked);
     };
     Tournament.prototype.finishChallenge = function (from, to, output, result) {
         if (!result) {
@@ -496,11 +993,11 @@ var Tournament = (function () {
 
         this.pendingChallenges.set(from, {
             to: to,
-            team: from.team
+            team: this.getTeam(from)
         });
         this.pendingChallenges.set(to, {
             from: from,
-            team: from.team
+            team: this.getTeam(from)
         });
         from.sendTo(this.room, '|tournament|update|' + JSON.stringify({
             challenging: to.name
@@ -543,7 +1040,7 @@ var Tournament = (function () {
         if (!challenge || !challenge.from)
             return;
 
-        user.prepBattle(this.format, 'challenge', user, this.finishAcceptChallenge.bind(this, user, challenge));
+        user.prepBattle(this.format, 'challenge', user, this.finishAcceptChallenge.bind(this, user, challenge), this.isTeamLocked);
     };
     Tournament.prototype.finishAcceptChallenge = function (user, challenge, result) {
         if (!result)
@@ -552,7 +1049,7 @@ var Tournament = (function () {
         // Prevent double accepts
             return;
 
-        var room = Rooms.global.startBattle(challenge.from, user, this.format, this.isRated, challenge.team, user.team);
+        var room = Rooms.global.startBattle(challenge.from, user, this.format, this.isRated, challenge.team, this.getTeam(user));
         if (!room) return;
 
         this.pendingChallenges.set(challenge.from, null);
@@ -564,6 +1061,13 @@ var Tournament = (function () {
             to: user,
             room: room
         });
+        this.matchTimers.slice(0).forEach(function (timer) {
+            if (timer.users.indexOf(challenge.from) >= 0 && timer.users.indexOf(user) >= 0)
+                this.clearMatchTimer(timer);
+        }, this);
+        this.interruptedMatches = this.interruptedMatches.filter(function (match) {
+            return match.indexOf(user.userid) < 0 || match.indexOf(challenge.from.userid) < 0;
+        });
         this.room.add('|tournament|battlestart|' + challenge.from.name + '|' + user.name + '|' + room.id);
 
         this.isBracketInvalidated = true;
@@ -578,26 +1082,18 @@ var Tournament = (function () {
     Tournament.prototype.onBattleWin = function (room, winner) {
         var from = Users.get(room.p1);
         var to = Users.get(room.p2);
-        var fromElo = Number(Core.stdin('elo.csv', toId(from)));
-        var toElo = Number(Core.stdin('elo.csv', toId(to)));
 
         var result = 'draw';
         if (from === winner) {
             result = 'win';
-            if (this.room.isOfficial && this.generator.users.size >= 8) {
-                var arr = Core.calculateElo(fromElo, toElo);
-                Core.stdout('elo.csv', toId(from), arr[0], function () {
-                    Core.stdout('elo.csv', toId(to), arr[1]);
-                });
-            }
         } else if (to === winner) {
             result = 'loss';
-            if (this.room.isOfficial && this.generator.users.size >= 8) {
-                var arr = Core.calculateElo(toElo, fromElo);
-                Core.stdout('elo.csv', toId(to), arr[0], function () {
-                    Core.stdout('elo.csv', toId(from), arr[1]);
-                });
-            }
+        }
+
+        if (result !== 'draw' && this.room.isOfficial && this.generator.getUsers().length >= Core.tournaments.tourSize) {
+            var changes = result === 'win' ? Ratings.recordMatch(this.format, from.userid, to.userid) : Ratings.recordMatch(this.format, to.userid, from.userid);
+            var loser = result === 'win' ? to : from;
+            this.room.add('|raw|<small>' + Tools.escapeHTML(Tools.getFormat(this.format).name) + ' tournament Elo: ' + Tools.escapeHTML(winner.name) + ' +' + Math.round(changes[0]) + ', ' + Tools.escapeHTML(loser.name) + ' ' + Math.round(changes[1]) + '</small>');
         }
 
         if (result === 'draw' && !this.generator.isDrawingSupported) {
@@ -621,6 +1117,7 @@ var Tournament = (function () {
             return;
         }
 
+        this.events.push(['result', from.userid, to.userid, result, room.battle.score]);
         this.room.add('|tournament|battleend|' + from.name + '|' + to.name + '|' + result + '|' + room.battle.score.join(','));
 
         this.generator.setUserBusy(from, false);
@@ -636,10 +1133,15 @@ var Tournament = (function () {
             this.update();
     };
     Tournament.prototype.onTournamentEnd = function () {
+        this.clearMatchTimers();
+        var results = this.generator.getResults().map(usersToNames);
+        var bracketData = this.getBracketData();
         this.room.add('|tournament|end|' + JSON.stringify({
-            results: this.generator.getResults().map(usersToNames),
-            bracketData: this.getBracketData()
+            results: results,
+            bracketData: bracketData
         }));
+        var entry = History.add(this, results, bracketData);
+        this.room.add('|raw|<small>This tournament was saved as #' + entry.id + '. Use /tourresult ' + entry.id + ' to see its results again.</small>');
 
         data = {
             results: this.generator.getResults().map(usersToNames),
@@ -657,9 +1159,10 @@ var Tournament = (function () {
             winner = data;
         }
 
-        tourSize = this.generator.users.size;
+        tourSize = this.generator.getUsers().length;
 
-        if (this.room.isOfficial && tourSize >= 8) {
+        // Squads aren't users, so team tournaments don't pay out
+        if (this.room.isOfficial && tourSize >= Core.tournaments.tourSize && !this.generator.isTeamTournament) {
             firstMoney = Math.round(tourSize / 10);
             secondMoney = Math.round(firstMoney / 2);
             firstBuck = 'buck';
@@ -674,50 +1177,207 @@ var Tournament = (function () {
             var wid = toId(winner); // winner's userid
             var rid = toId(runnerUp); // runnerUp's userid
 
-            // file i/o
-            var winnerMoney = Number(Core.stdin('money.csv', wid));
-            var tourWin = Number(Core.stdin('tourWins.csv', wid));
-            Core.stdout('money', wid, (winnerMoney + firstMoney), function () {
-                var winnerElo = Number(Core.stdin('elo.csv', wid));
-                if (runnerUp) {
-                    var runnerUpMoney = Number(Core.stdin('money.csv', rid)),
-                        runnerUpElo = Number(Core.stdin('elo.csv', rid));
-                    Core.stdout('money.csv', rid, (runnerUpMoney + secondMoney), function () {
-                        Core.stdout('tourWins.csv', wid, (tourWin + 1), function () {
-                            Core.stdout('elo.csv', wid, (winnerElo + 50), function () {
-                                Core.stdout('elo.csv', rid, (runnerUpElo + 25));
-                            });
-                        });
-                    });
-                } else {
-                    Core.stdout('tourWins.csv', wid, (tourWin + 1), function () {
-                        Core.stdout('elo.csv', wid, (winnerElo + 50));
-                    });
-                }
-            });
+            Economy.credit(wid, firstMoney, 'Won a tournament in ' + this.room.title);
+            if (runnerUp) Economy.credit(rid, secondMoney, 'Runner-up of a tournament in ' + this.room.title);
+
+            Ratings.recordPlacing(this.format, wid, true, Core.tournaments.winningElo);
+            if (runnerUp) Ratings.recordPlacing(this.format, rid, false, Core.tournaments.runnerUpElo);
         }
         delete exports.tournaments[toId(this.room.id)];
+        writeTournaments();
     };
 
     return Tournament;
 })();
 
+/**
+ * Rebuilds the tournaments that were running when the server went down by
+ * replaying everything that happened in them. Players who aren't online
+ * get a stand-in until they log back in, and battles that were going on
+ * (or about to start) have to be started again.
+ */
+function restoreTournaments() {
+    var saved = io.stdinJSON('tournaments.json', {});
+    var output = {sendReply: function () {}};
+
+    Object.keys(saved).forEach(function (roomid) {
+        var data = saved[roomid];
+        var room = Rooms.get(roomid);
+        if (!room || exports.tournaments[roomid])
+            return;
+
+        var users = {};
+        var getUser = function (userid) {
+            if (!users[userid])
+                users[userid] = Users.getExact(userid) || {
+                    userid: userid,
+                    name: data.names[userid] || userid,
+                    isRestored: true,
+                    sendTo: function () {}
+                };
+            return users[userid];
+        };
+
+        try {
+            var generator = createTournamentGenerator(data.events[0][1], data.events[0][2].slice(0), output);
+            var tournament = new Tournament(room, data.format, generator, data.isRated);
+            exports.tournaments[roomid] = tournament;
+            data.events.slice(1).forEach(function (event) {
+                switch (event[0]) {
+                case 'settype':
+                    var newGenerator = createTournamentGenerator(event[1], event[2].slice(0), output);
+                    tournament.generator.getUsers().forEach(function (user) {
+                        newGenerator.addUser(user);
+                    });
+                    tournament.generator = newGenerator;
+                    break;
+                case 'addsquad':
+                    tournament.generator.addSquad(event[1]);
+                    break;
+                case 'add':
+                    tournament.generator.addUser(getUser(event[1]), event[2]);
+                    break;
+                case 'remove':
+                    tournament.generator.removeUser(getUser(event[1]));
+                    break;
+                case 'replace':
+                    tournament.generator.replaceUser(getUser(event[1]), getUser(event[2]));
+                    if (tournament.isTournamentStarted)
+                        tournament.swapUser(getUser(event[1]), getUser(event[2]));
+                    break;
+                case 'start':
+                    tournament.generator.freezeBracket();
+                    tournament.setUpMatches();
+                    tournament.isTournamentStarted = true;
+                    tournament.startTime = event[1] || Date.now();
+                    break;
+                case 'result':
+                    tournament.generator.setMatchResult([getUser(event[1]), getUser(event[2])], event[3], event[4]);
+                    break;
+                case 'dq':
+                    tournament.generator.disqualifyUser(getUser(event[1]));
+                    tournament.disqualifiedUsers.set(getUser(event[1]), true);
+                    break;
+                }
+            });
+        } catch (e) {
+            delete exports.tournaments[roomid];
+            room.add('|raw|<strong>The tournament in this room could not be restored after the restart.</strong>');
+            return;
+        }
+
+        tournament.events = data.events;
+        tournament.names = data.names;
+        tournament.createTime = data.createTime || tournament.createTime;
+        tournament.restoreTime = Date.now();
+        tournament.interruptedMatches = data.interruptedMatches || [];
+        tournament.autoDisqualifyTimeout = data.autoDisqualifyTimeout || 0;
+        tournament.playerCap = data.playerCap || 0;
+        tournament.waitlist = (data.waitlist || []).map(getUser);
+        tournament.isTeamLocked = !!data.isTeamLocked;
+        tournament.lockedTeams = data.lockedTeams || {};
+
+        room.add('|raw|<strong>The tournament in this room has been restored after a restart.</strong>');
+        if (tournament.isTournamentStarted) {
+            room.add('|tournament|start');
+            room.send('|tournament|update|{"isStarted":true}');
+            if (tournament.interruptedMatches.length)
+                room.add('|raw|<strong>These battles were interrupted and have to be started again: ' + tournament.interruptedMatches.map(function (match) {
+                    return Tools.escapeHTML(getUser(match[0]).name) + ' vs. ' + Tools.escapeHTML(getUser(match[1]).name);
+                }).join(', ') + '</strong>');
+        }
+        tournament.isBracketInvalidated = true;
+        tournament.isAvailableMatchesInvalidated = true;
+        tournament.update();
+
+        setTimeout(function () {
+            if (exports.tournaments[roomid] !== tournament)
+                return;
+            tournament.purgeGhostUsers();
+            tournament.update();
+        }, RESTORE_GRACE_PERIOD);
+    });
+}
+
+/**
+ * Called when a user logs in, to put them back into restored tournaments.
+ */
+function onUserLogin(user) {
+    for (var id in exports.tournaments)
+        exports.tournaments[id].restoreUser(user);
+}
+
 var commands = {
     basic: {
         j: 'join',
         in : 'join',
         join: function (tournament, user) {
+            if (tournament.generator.isTeamTournament)
+                return this.sendReply("In a team tournament, you join by registering a squad with /tour team create or by being added to one by its captain.");
             tournament.addUser(user, false, this);
         },
         l: 'leave',
         out: 'leave',
         leave: function (tournament, user) {
-            if (tournament.isTournamentStarted) {
+            if (tournament.removeFromWaitlist(user)) {
+                this.sendReply("You have left the waitlist.");
+            } else if (tournament.isTournamentStarted) {
                 tournament.disqualifyUser(user, this);
             } else {
                 tournament.removeUser(user, this);
             }
         },
+        waitlist: function (tournament) {
+            if (!this.canBroadcast()) return;
+            if (!tournament.playerCap)
+                return this.sendReply("The tournament doesn't have a player cap.");
+            var header = tournament.generator.getUsers().length + "/" + tournament.playerCap + " players. ";
+            if (!tournament.waitlist.length)
+                return this.sendReply(header + "Nobody is on the waitlist.");
+            this.sendReply(header + "Waitlist: " + tournament.waitlist.map(function (user, i) {
+                return (i + 1) + ". " + user.name;
+            }).join(", "));
+        },
+        team: function (tournament, user, params) {
+            if (!tournament.generator.isTeamTournament)
+                return this.sendReply("This isn't a team tournament.");
+            var parts = params[0].split(' ');
+            var action = toId(parts.shift());
+            var target = parts.join(' ').trim();
+            var squad = tournament.generator.getUserSquad(user);
+            var targetUser;
+
+            if (action === 'create') {
+                if (!target)
+                    return this.sendReply("Usage: /tour team create <name>");
+                if (target.length > 30)
+                    return this.sendReply("Squad names can't be longer than 30 characters.");
+                tournament.addSquad(target, user, this);
+            } else if (action === 'add' || action === 'remove') {
+                if (!squad || squad.members[0] !== user)
+                    return this.sendReply("Only a squad's captain can " + action + " its players.");
+                if (!target)
+                    return this.sendReply("Usage: /tour team " + action + " <user>");
+                targetUser = Users.get(target);
+                if (!targetUser)
+                    return this.sendReply("User " + target + " not found.");
+                if (action === 'add')
+                    return tournament.addUser(targetUser, false, this, squad.name);
+                if (targetUser === user || tournament.generator.getUserSquad(targetUser) !== squad)
+                    return this.sendReply(targetUser.name + " isn't a player in your squad.");
+                tournament.removeUser(targetUser, this);
+            } else if (action === 'list' || !action) {
+                if (!this.canBroadcast()) return;
+                var squads = tournament.generator.getSquads();
+                if (!squads.length)
+                    return this.sendReply("No squads have been registered yet.");
+                this.sendReplyBox(squads.map(function (squad) {
+                    return '<b>' + Tools.escapeHTML(squad.name) + '</b>: ' + Tools.escapeHTML(usersToNames(squad.members).join(', '));
+                }).join('<br />'));
+            } else {
+                this.sendReply("Usage: /tour team create <name>, /tour team add <user>, /tour team remove <user> or /tour team list");
+            }
+        },
         getupdate: function (tournament, user) {
             tournament.update(user);
         },
@@ -740,9 +1400,23 @@ var commands = {
         settype: function (tournament, user, params, cmd) {
             if (params.length < 1)
                 return this.sendReply("Usage: " + cmd + " <type> [, <comma-separated arguments>]");
+            var playerCap = extractPlayerCap(params);
+            if (playerCap !== null && !isValidPlayerCap(playerCap))
+                return this.sendReply("The player cap has to be a whole number of at least 2, or 'off'.");
             var generator = createTournamentGenerator(params.shift(), params, this);
-            if (generator)
-                tournament.setGenerator(generator, this);
+            if (!generator)
+                return;
+            tournament.setGenerator(generator, this);
+            if (playerCap !== null && tournament.generator === generator)
+                tournament.setPlayerCap(playerCap, this);
+        },
+        setcap: function (tournament, user, params, cmd) {
+            if (params.length < 1 || !params[0])
+                return this.sendReply("Usage: " + cmd + " <number|off>");
+            var playerCap = toId(params[0]) === 'off' ? 0 : Number(params[0]);
+            if (!isValidPlayerCap(playerCap))
+                return this.sendReply("The player cap has to be a whole number of at least 2, or 'off'.");
+            tournament.setPlayerCap(playerCap, this);
         },
         begin: 'start',
         start: function (tournament) {
@@ -754,11 +1428,22 @@ var commands = {
         disqualify: function (tournament, user, params, cmd) {
             if (params.length < 1)
                 return this.sendReply("Usage: " + cmd + " <user>");
-            var targetUser = Users.get(params[0]);
+            // Players restored after a restart aren't online, so they're looked up in the tournament itself
+            var targetUser = tournament.generator.getUsers().find(function (player) {
+                return player.userid === toId(params[0]);
+            }) || Users.get(params[0]);
             if (!targetUser)
                 return this.sendReply("User " + params[0] + " not found.");
             tournament.disqualifyUser(targetUser, this);
         },
+        autodq: function (tournament, user, params, cmd) {
+            if (params.length < 1 || !params[0])
+                return this.sendReply("Usage: " + cmd + " <minutes|off>");
+            var minutes = toId(params[0]) === 'off' ? 0 : Number(params[0]);
+            if (isNaN(minutes) || minutes < 0 || minutes > 60 || Math.floor(minutes) !== minutes)
+                return this.sendReply("The timer has to be a whole number of minutes between 1 and 60, or 'off'.");
+            tournament.setAutoDisqualifyTimeout(minutes * 60 * 1000);
+        },
         end: 'delete',
         stop: 'delete',
         delete: function (tournament) {
@@ -791,11 +1476,18 @@ CommandParser.commands.tournament = function (paramString, room, user) {
     } else if (cmd === 'help') {
         if (!this.canBroadcast()) return;
         return this.sendReplyBox(
-            "- create/new &lt;format>, &lt;type> [, &lt;comma-separated arguments>]: Creates a new tournament in the current room.<br />" +
+            "- create/new &lt;format>, &lt;type> [, &lt;comma-separated arguments>]: Creates a new tournament in the current room. Add cap=&lt;number> to the arguments to limit how many players can join, or teamlock to make players use the team they joined with for every battle.<br />" +
+            "- create/new &lt;format>, team, &lt;type> [, &lt;squad size> [, &lt;arguments for the type>]]: Creates a team tournament, where squads play a bracket of that type and a squad match goes to the squad winning most of its battles.<br />" +
+            "- team create &lt;name> / team add &lt;user> / team remove &lt;user> / team list: Registers a squad with you as its captain, lets its captain add and remove players, or lists the squads.<br />" +
             "- settype &lt;type> [, &lt;comma-separated arguments>]: Modifies the type of tournament after it's been created, but before it has started.<br />" +
             "- end/stop/delete: Forcibly ends the tournament in the current room.<br />" +
+            "- setcap &lt;number|off>: Limits how many players can join. Anyone joining after that goes on the waitlist, moves up when a player leaves and substitutes for players disqualified before their first battle.<br />" +
+            "- waitlist: Shows the waitlist.<br />" +
             "- begin/start: Starts the tournament in the current room.<br />" +
             "- dq/disqualify &lt;user>: Disqualifies a user.<br />" +
+            "- autodq &lt;minutes|off>: Disqualifies players who don't start their battle within that many minutes of it becoming available.<br />" +
+            "- schedule &lt;room>, &lt;format>, &lt;type>, &lt;time>: Creates a tournament at the next HH:MM (server time), on a YYYY-MM-DD HH:MM, or every time a cron-like spec (minute hour day month weekday) matches. Add signups=&lt;minutes> to the type to have it start on its own after that long.<br />" +
+            "- schedule list [room] / schedule remove &lt;id>: Lists or removes scheduled tournaments.<br />" +
             "More detailed help can be found <a href=\"https://gist.github.com/kotarou3/7872574\">here</a>"
         );
     } else if (cmd === 'create' || cmd === 'new') {
@@ -805,6 +1497,59 @@ CommandParser.commands.tournament = function (paramString, room, user) {
             return this.sendReply("Usage: " + cmd + " <format>, <type> [, <comma-separated arguments>]");
 
         createTournament(room, params.shift(), params.shift(), Config.istournamentsrated, params, this);
+    } else if (cmd === 'schedule') {
+        var action = params[0].split(' ');
+        if (toId(action[0]) === 'list') {
+            if (!this.canBroadcast()) return;
+            var entries = Scheduler.getEntries(toId(action[1] || params[1]));
+            if (!entries.length) return this.sendReply("No tournaments are scheduled.");
+            return this.sendReplyBox(entries.map(function (entry) {
+                return Tools.escapeHTML(Scheduler.describe(entry));
+            }).join('<br />'));
+        }
+        if (toId(action[0]) === 'remove') {
+            var id = action[1] || params[1];
+            var entry = Scheduler.getEntries().find(function (entry) {
+                return entry.id === Number(id);
+            });
+            if (!entry)
+                return this.sendReply("There is no scheduled tournament #" + id + ".");
+            if (!user.can('tournaments', null, Rooms.get(entry.room) || room))
+                return this.sendReply(cmd + " -  Access denied.");
+            Scheduler.remove(entry.id);
+            return this.sendReply("Removed the scheduled tournament " + Scheduler.describe(entry));
+        }
+
+        if (params.length < 4)
+            return this.sendReply("Usage: " + cmd + " <room>, <format>, <type>, <HH:MM, YYYY-MM-DD HH:MM or cron-like spec>");
+        var targetRoom = Rooms.get(toId(params[0]));
+        if (!targetRoom || targetRoom.type !== 'chat')
+            return this.sendReply("The room '" + params[0] + "' doesn't exist or isn't a chat room.");
+        if (!user.can('tournaments', null, targetRoom))
+            return this.sendReply(cmd + " -  Access denied.");
+        var format = Tools.getFormat(params[1]);
+        if (format.effectType !== 'Format')
+            return this.sendReply(params[1] + " is not a valid format.");
+        if (!TournamentGenerators[toId(params[2].split(' ')[0])])
+            return this.sendReply(params[2] + " is not a valid type. Valid types: " + Object.keys(TournamentGenerators).join(", "));
+        var signups = 0;
+        var typeArgs = params[2].split(' ').filter(function (arg) {
+            var match = /^signups=(.*)$/i.exec(arg);
+            if (match)
+                signups = Number(match[1]);
+            return !match;
+        });
+
+        // cron-like specs can have commas of their own
+        var scheduled = Scheduler.add(targetRoom.id, format.id, typeArgs.join(' '), params.slice(3).join(','), user.name, signups);
+        if (scheduled === 'InvalidTime')
+            return this.sendReply("'" + params.slice(3).join(',') + "' is not a valid time or it is in the past.");
+        if (scheduled === 'InvalidSignups')
+            return this.sendReply("The signups have to last a whole number of minutes.");
+        if (scheduled === 'RoomLimitReached')
+            return this.sendReply(targetRoom.title + " already has " + Scheduler.getSettings().roomLimit + " tournaments scheduled.");
+        this.sendReply("Scheduled tournament " + Scheduler.describe(scheduled));
+        this.logModCommand(user.name + " scheduled tournament #" + scheduled.id + " (" + format.id + ", " + params[2] + ") in " + targetRoom.id + ".");
     } else {
         var tournament = getTournament(room.title);
         if (!tournament)
@@ -835,8 +1580,13 @@ CommandParser.commands.tournament = function (paramString, room, user) {
 
 exports.Tournament = Tournament;
 exports.TournamentGenerators = TournamentGenerators;
+exports.ratings = Ratings;
+exports.scheduler = Scheduler;
+exports.history = History;
 
 exports.createTournament = createTournament;
+exports.restoreTournaments = restoreTournaments;
+exports.onUserLogin = onUserLogin;
 exports.deleteTournament = deleteTournament;
 exports.get = getTournament;
 
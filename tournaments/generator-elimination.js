@@ -142,8 +142,18 @@ var Elimination = (function () {
 		if (this.users.has(replacementUser))
 			return 'UserAlreadyAdded';
 
+		var userData = this.users.get(user);
 		this.users.delete(user);
-		this.users.set(user, {});
+		this.users.set(replacementUser, userData);
+
+		if (this.isBracketFrozen) {
+			// Matches the user already won, and the losers' bracket spots they dropped into, name them too
+			this.tree.tree.traverse(function (node) {
+				if (node.getValue().user === user)
+					node.getValue().user = replacementUser;
+			});
+			return;
+		}
 
 		var targetNode;
 		for (var n = 0; n < this.tree.currentLayerLeafNodes.length && !targetNode; ++n)
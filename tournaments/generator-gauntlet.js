@@ -0,0 +1,223 @@
+require('es6-shim');
+
+var Gauntlet = (function () {
+	function Gauntlet() {
+		this.isBracketFrozen = false;
+		this.users = new Map();
+		this.order = null;
+		this.matches = null;
+		this.champion = null;
+		this.eliminated = null;
+	}
+
+	Gauntlet.prototype.name = "Gauntlet";
+	Gauntlet.prototype.isDrawingSupported = false;
+
+	Gauntlet.prototype.addUser = function (user) {
+		if (this.isBracketFrozen)
+			return 'BracketFrozen';
+
+		if (this.users.has(user))
+			return 'UserAlreadyAdded';
+		this.users.set(user, {});
+	};
+	Gauntlet.prototype.removeUser = function (user) {
+		if (this.isBracketFrozen)
+			return 'BracketFrozen';
+
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+		this.users.delete(user);
+	};
+	Gauntlet.prototype.replaceUser = function (user, replacementUser) {
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+
+		if (this.users.has(replacementUser))
+			return 'UserAlreadyAdded';
+
+		// Rebuild the map so the replacement keeps the user's place in line
+		var users = new Map();
+		this.users.forEach(function (data, key) {
+			users.set(key === user ? replacementUser : key, data);
+		});
+		this.users = users;
+
+		if (!this.isBracketFrozen)
+			return;
+		this.order[this.order.indexOf(user)] = replacementUser;
+		if (this.champion === user)
+			this.champion = replacementUser;
+		var index = this.eliminated.indexOf(user);
+		if (index >= 0)
+			this.eliminated[index] = replacementUser;
+		this.matches.forEach(function (match) {
+			if (match.winner === user)
+				match.winner = replacementUser;
+		});
+	};
+	Gauntlet.prototype.getUsers = function () {
+		var users = [];
+		this.users.forEach(function (value, key) {
+			users.push(key);
+		});
+		return users;
+	};
+
+	/**
+	 * The bracket is a chain: every match is between the winner of the
+	 * previous match (the champion) and the next challenger in line.
+	 */
+	Gauntlet.prototype.getBracketData = function () {
+		var users = this.isBracketFrozen ? this.order : this.getUsers();
+		var node = users.length ? {team: users[0], children: []} : null;
+		for (var u = 1; u < users.length; ++u) {
+			var match = this.isBracketFrozen ? this.matches[u - 1] : {state: 'unavailable'};
+			var newNode = {state: match.state, children: [node, {team: users[u], children: []}]};
+			if (match.state === 'finished') {
+				newNode.team = match.winner;
+				newNode.result = match.result;
+				newNode.score = match.score.slice(0);
+			}
+			node = newNode;
+		}
+
+		var data = {};
+		data.type = 'tree';
+		data.rootNode = node;
+		return data;
+	};
+	Gauntlet.prototype.freezeBracket = function () {
+		this.isBracketFrozen = true;
+		this.users.forEach(function (user) {
+			user.isBusy = false;
+			user.isDisqualified = false;
+			user.streak = 0;
+		});
+
+		this.order = this.getUsers();
+		this.matches = this.order.slice(1).map(function () {
+			return {state: 'unavailable'};
+		});
+		this.matches[0].state = 'available';
+		this.champion = this.order[0];
+		this.eliminated = [];
+	};
+
+	Gauntlet.prototype.getCurrentMatch = function () {
+		for (var m = 0; m < this.matches.length; ++m)
+			if (this.matches[m].state === 'available')
+				return {index: m, users: [this.champion, this.order[m + 1]]};
+		return null;
+	};
+
+	Gauntlet.prototype.disqualifyUser = function (user) {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+
+		this.users.get(user).isDisqualified = true;
+
+		// Challengers still waiting in line lose when their turn comes
+		var match = this.getCurrentMatch();
+		if (match && match.users[0] === user)
+			return this.setMatchResult(match.users, 'loss');
+		if (match && match.users[1] === user)
+			return this.setMatchResult(match.users, 'win');
+	};
+	Gauntlet.prototype.getUserBusy = function (user) {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+		return this.users.get(user).isBusy;
+	};
+	Gauntlet.prototype.setUserBusy = function (user, isBusy) {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+		this.users.get(user).isBusy = isBusy;
+	};
+
+	Gauntlet.prototype.getAvailableMatches = function () {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		var match = this.getCurrentMatch();
+		if (!match || this.users.get(match.users[0]).isBusy || this.users.get(match.users[1]).isBusy)
+			return [];
+		return [match.users];
+	};
+	Gauntlet.prototype.setMatchResult = function (match, result, score) {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		if (!(result in {win:1, loss:1}))
+			return 'InvalidMatchResult';
+
+		if (!this.users.has(match[0]) || !this.users.has(match[1]))
+			return 'UserNotAdded';
+
+		var currentMatch = this.getCurrentMatch();
+		if (!currentMatch || currentMatch.users[0] !== match[0] || currentMatch.users[1] !== match[1])
+			return 'InvalidMatch';
+
+		if (!score)
+			if (result === 'win')
+				score = [1, 0];
+			else
+				score = [0, 1];
+
+		var winner = result === 'win' ? match[0] : match[1];
+		var loser = result === 'win' ? match[1] : match[0];
+		var targetMatch = this.matches[currentMatch.index];
+		targetMatch.state = 'finished';
+		targetMatch.result = result;
+		targetMatch.score = score.slice(0);
+		targetMatch.winner = winner;
+
+		// A win extends the champion's streak; a loss passes the crown to the challenger
+		++this.users.get(winner).streak;
+		this.champion = winner;
+		this.eliminated.push(loser);
+
+		var nextMatch = this.matches[currentMatch.index + 1];
+		if (!nextMatch)
+			return true;
+		nextMatch.state = 'available';
+
+		var challenger = this.order[currentMatch.index + 2];
+		if (this.users.get(winner).isDisqualified)
+			return this.setMatchResult([winner, challenger], 'loss');
+		else if (this.users.get(challenger).isDisqualified)
+			return this.setMatchResult([winner, challenger], 'win');
+	};
+
+	Gauntlet.prototype.getStreak = function (user) {
+		if (!this.isBracketFrozen || !this.users.has(user))
+			return 0;
+		return this.users.get(user).streak;
+	};
+
+	/**
+	 * The last champion standing wins. Everyone else places in reverse order
+	 * of when they were knocked out.
+	 */
+	Gauntlet.prototype.getResults = function () {
+		if (!this.isBracketFrozen || this.getCurrentMatch())
+			return 'TournamentNotEnded';
+
+		return [[this.champion]].concat(this.eliminated.slice(0).reverse().map(function (user) {
+			return [user];
+		}));
+	};
+
+	return Gauntlet;
+})();
+
+exports.Gauntlet = Gauntlet;
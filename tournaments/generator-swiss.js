@@ -0,0 +1,359 @@
+require('es6-shim');
+
+// How many steps the pairing search may take before it gives up on avoiding rematches
+const MAX_PAIRING_STEPS = 10000;
+
+var Swiss = (function () {
+	function Swiss(maxRounds) {
+		maxRounds = parseInt(maxRounds, 10);
+		if (!maxRounds || maxRounds < 1)
+			maxRounds = 0;
+
+		this.maxRounds = maxRounds;
+		this.isBracketFrozen = false;
+		this.users = new Map();
+		this.rounds = null;
+		this.currentRound = 0;
+		this.isEnded = false;
+
+		if (maxRounds)
+			this.name = maxRounds + "-round " + this.name;
+	}
+
+	Swiss.prototype.name = "Swiss";
+	Swiss.prototype.isDrawingSupported = true;
+
+	Swiss.prototype.addUser = function (user) {
+		if (this.isBracketFrozen)
+			return 'BracketFrozen';
+
+		if (this.users.has(user))
+			return 'UserAlreadyAdded';
+		this.users.set(user, {});
+	};
+	Swiss.prototype.removeUser = function (user) {
+		if (this.isBracketFrozen)
+			return 'BracketFrozen';
+
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+		this.users.delete(user);
+	};
+	Swiss.prototype.replaceUser = function (user, replacementUser) {
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+
+		if (this.users.has(replacementUser))
+			return 'UserAlreadyAdded';
+
+		// Rebuild the map so the replacement keeps the user's place in the signup order
+		var users = new Map();
+		this.users.forEach(function (data, key) {
+			users.set(key === user ? replacementUser : key, data);
+		});
+		this.users = users;
+
+		if (!this.isBracketFrozen)
+			return;
+		this.users.forEach(function (data) {
+			var index = data.opponents.indexOf(user);
+			if (index >= 0)
+				data.opponents[index] = replacementUser;
+		});
+		this.rounds.forEach(function (round) {
+			if (round.bye === user)
+				round.bye = replacementUser;
+			round.matches.forEach(function (match) {
+				var index = match.users.indexOf(user);
+				if (index >= 0)
+					match.users[index] = replacementUser;
+			});
+		});
+	};
+	Swiss.prototype.getUsers = function () {
+		var users = [];
+		this.users.forEach(function (value, key) {
+			users.push(key);
+		});
+		return users;
+	};
+
+	Swiss.prototype.getBuchholz = function (user) {
+		return this.users.get(user).opponents.reduce(function (total, opponent) {
+			return total + this.users.get(opponent).score;
+		}.bind(this), 0);
+	};
+	/**
+	 * Returns the users ordered by score, then by Buchholz (the sum of their
+	 * opponents' scores), then by signup order.
+	 */
+	Swiss.prototype.getStandings = function () {
+		var users = this.getUsers();
+		if (!this.isBracketFrozen)
+			return users;
+
+		return users.map(function (user, index) {
+			return {user: user, index: index, score: this.users.get(user).score, buchholz: this.getBuchholz(user)};
+		}, this).sort(function (a, b) {
+			return b.score - a.score || b.buchholz - a.buchholz || a.index - b.index;
+		}).map(function (standing) {
+			return standing.user;
+		});
+	};
+
+	Swiss.prototype.getBracketData = function () {
+		var users = this.getStandings();
+		var data = {};
+		data.type = 'table';
+		data.tableHeaders = {
+			cols: users.slice(0),
+			rows: users.slice(0)
+		};
+		data.tableContents = users.map(function (userA) {
+			return users.map(function (userB) {
+				if (!this.isBracketFrozen || userA === userB)
+					return null;
+
+				var cell = null;
+				this.rounds.forEach(function (round) {
+					round.matches.forEach(function (match) {
+						var side = match.users.indexOf(userA);
+						if (side < 0 || match.users[1 - side] !== userB)
+							return;
+
+						cell = {state: match.state};
+						if (match.state === 'finished') {
+							cell.result = match.result;
+							cell.score = match.score.slice(0);
+							if (side === 1) {
+								if (match.result !== 'draw')
+									cell.result = match.result === 'win' ? 'loss' : 'win';
+								cell.score.reverse();
+							}
+						}
+					});
+				});
+				return cell;
+			}, this);
+		}, this);
+		data.scores = users.map(function (user) {
+			return this.isBracketFrozen ? this.users.get(user).score : 0;
+		}, this);
+		return data;
+	};
+	Swiss.prototype.freezeBracket = function () {
+		this.isBracketFrozen = true;
+		this.users.forEach(function (data) {
+			data.isBusy = false;
+			data.isDisqualified = false;
+			data.score = 0;
+			data.opponents = [];
+			data.hasBye = false;
+		});
+
+		var userCount = this.users.size;
+		var maxRounds = this.maxRounds || Math.ceil(Math.log(userCount) / Math.LN2);
+		// Past this, players would have to rematch
+		this.maxRounds = Math.min(maxRounds, userCount % 2 ? userCount : userCount - 1);
+
+		this.rounds = [];
+		this.startRound();
+	};
+
+	/**
+	 * Pairs the players who are still in for the next round. An odd player out
+	 * gets a bye, worth a win, going to the lowest ranked player who hasn't had
+	 * one yet.
+	 */
+	Swiss.prototype.startRound = function () {
+		var users = this.getStandings().filter(function (user) {
+			return !this.users.get(user).isDisqualified;
+		}, this);
+		var round = {matches: [], bye: null};
+
+		if (users.length % 2) {
+			var byeIndex = users.length - 1;
+			while (byeIndex > 0 && this.users.get(users[byeIndex]).hasBye)
+				--byeIndex;
+			round.bye = users.splice(byeIndex, 1)[0];
+			this.users.get(round.bye).hasBye = true;
+			++this.users.get(round.bye).score;
+		}
+
+		var pairs = this.findPairs(users, {steps: 0});
+		if (!pairs) {
+			// No way around a rematch, so just pair the players in order of standing
+			pairs = [];
+			for (var u = 0; u < users.length; u += 2)
+				pairs.push([users[u], users[u + 1]]);
+		}
+
+		pairs.forEach(function (pair) {
+			this.users.get(pair[0]).opponents.push(pair[1]);
+			this.users.get(pair[1]).opponents.push(pair[0]);
+			round.matches.push({users: pair, state: 'available'});
+		}, this);
+
+		this.rounds.push(round);
+		++this.currentRound;
+	};
+	/**
+	 * Pairs the best placed player with the next best placed player they
+	 * haven't played yet, backtracking when the rest can't be paired without
+	 * rematches. Returns null if that isn't possible.
+	 */
+	Swiss.prototype.findPairs = function (users, search) {
+		if (!users.length)
+			return [];
+
+		var user = users[0];
+		var opponents = this.users.get(user).opponents;
+		for (var u = 1; u < users.length; ++u) {
+			if (++search.steps > MAX_PAIRING_STEPS)
+				return null;
+			if (opponents.indexOf(users[u]) >= 0)
+				continue;
+
+			var rest = users.slice(1);
+			rest.splice(u - 1, 1);
+			var pairs = this.findPairs(rest, search);
+			if (pairs) {
+				pairs.unshift([user, users[u]]);
+				return pairs;
+			}
+		}
+		return null;
+	};
+	/**
+	 * Starts the next round once every match of the current one is done.
+	 * Returns true when the tournament is over.
+	 */
+	Swiss.prototype.advanceRound = function () {
+		var isRoundFinished = this.rounds[this.rounds.length - 1].matches.every(function (match) {
+			return match.state === 'finished';
+		});
+		if (!isRoundFinished)
+			return;
+
+		var activeCount = 0;
+		this.users.forEach(function (data) {
+			if (!data.isDisqualified)
+				++activeCount;
+		});
+		if (this.currentRound >= this.maxRounds || activeCount < 2) {
+			this.isEnded = true;
+			return true;
+		}
+
+		this.startRound();
+	};
+
+	Swiss.prototype.disqualifyUser = function (user) {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+
+		this.users.get(user).isDisqualified = true;
+
+		// The user has at most one available match, in the current round
+		var match = null;
+		this.rounds[this.rounds.length - 1].matches.forEach(function (roundMatch) {
+			if (roundMatch.state === 'available' && roundMatch.users.indexOf(user) >= 0)
+				match = roundMatch.users;
+		});
+		if (match)
+			return this.setMatchResult(match, match[0] === user ? 'loss' : 'win');
+		return this.advanceRound();
+	};
+	Swiss.prototype.getUserBusy = function (user) {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+		return this.users.get(user).isBusy;
+	};
+	Swiss.prototype.setUserBusy = function (user, isBusy) {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+		this.users.get(user).isBusy = isBusy;
+	};
+
+	Swiss.prototype.getAvailableMatches = function () {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		var matches = [];
+		this.rounds[this.rounds.length - 1].matches.forEach(function (match) {
+			if (match.state === 'available' &&
+				!this.users.get(match.users[0]).isBusy && !this.users.get(match.users[1]).isBusy)
+				matches.push(match.users.slice(0));
+		}, this);
+		return matches;
+	};
+	Swiss.prototype.setMatchResult = function (match, result, score) {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		if (!(result in {win:1, loss:1, draw:1}))
+			return 'InvalidMatchResult';
+
+		if (!this.users.has(match[0]) || !this.users.has(match[1]))
+			return 'UserNotAdded';
+
+		var targetMatch = null;
+		this.rounds[this.rounds.length - 1].matches.forEach(function (roundMatch) {
+			if (roundMatch.state === 'available' && roundMatch.users[0] === match[0] && roundMatch.users[1] === match[1])
+				targetMatch = roundMatch;
+		});
+		if (!targetMatch)
+			return 'InvalidMatch';
+
+		var virtualScore;
+		if (result === 'win')
+			virtualScore = [1, 0];
+		else if (result === 'loss')
+			virtualScore = [0, 1];
+		else
+			virtualScore = [0.5, 0.5];
+		if (!score)
+			score = virtualScore;
+
+		targetMatch.state = 'finished';
+		targetMatch.result = result;
+		targetMatch.score = score.slice(0);
+		this.users.get(match[0]).score += virtualScore[0];
+		this.users.get(match[1]).score += virtualScore[1];
+
+		return this.advanceRound();
+	};
+
+	Swiss.prototype.getResults = function () {
+		if (!this.isEnded)
+			return 'TournamentNotEnded';
+
+		var results = [];
+		var currentRank = null;
+		var previous = null;
+		this.getStandings().forEach(function (user) {
+			var data = this.users.get(user);
+			var buchholz = this.getBuchholz(user);
+			if (!previous || data.score < previous.score || buchholz < previous.buchholz) {
+				currentRank = [];
+				results.push(currentRank);
+			}
+			currentRank.push(user);
+			previous = {score: data.score, buchholz: buchholz};
+		}, this);
+		return results;
+	};
+
+	return Swiss;
+})();
+
+exports.Swiss = Swiss;
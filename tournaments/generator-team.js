@@ -0,0 +1,343 @@
+require('es6-shim');
+
+var Generators = {
+	roundrobin: require('./generator-round-robin.js').RoundRobin,
+	elimination: require('./generator-elimination.js').Elimination,
+	swiss: require('./generator-swiss.js').Swiss,
+	gauntlet: require('./generator-gauntlet.js').Gauntlet
+};
+
+/**
+ * Squads of players face each other in a bracket made by one of the other
+ * generators. When two squads meet, their players battle one on one in the
+ * order they joined their squads, and the squad that wins the majority of
+ * those battles wins. Drawn battles count as half a win. A squad match that
+ * ends even is a draw, or, if the bracket can't have draws, goes to the
+ * squad that won the captains' battle.
+ */
+var Team = (function () {
+	function Team(type, squadSize) {
+		var Generator = Generators[toId(type)] || Generators.elimination;
+		var args = [null].concat(Array.prototype.slice.call(arguments, 2));
+		squadSize = parseInt(squadSize, 10);
+
+		this.generator = new (Generator.bind.apply(Generator, args))();
+		this.squadSize = squadSize > 0 ? squadSize : 0;
+		this.isBracketFrozen = false;
+		this.users = new Map();
+		this.squads = new Map();
+		this.squadMatches = null;
+
+		this.name = this.name + " " + this.generator.name;
+	}
+
+	Team.prototype.name = "Team";
+	Team.prototype.isDrawingSupported = true;
+	Team.prototype.isTeamTournament = true;
+
+	Team.prototype.addSquad = function (name) {
+		if (this.isBracketFrozen)
+			return 'BracketFrozen';
+
+		var squadid = toId(name);
+		if (!squadid)
+			return 'InvalidSquadName';
+		if (this.squads.has(squadid))
+			return 'SquadAlreadyAdded';
+
+		var squad = {name: name, userid: squadid, members: []};
+		this.squads.set(squadid, squad);
+		this.generator.addUser(squad);
+	};
+	Team.prototype.removeSquad = function (squad) {
+		this.squads.delete(squad.userid);
+		this.generator.removeUser(squad);
+	};
+	Team.prototype.getSquad = function (name) {
+		return this.squads.get(toId(name)) || null;
+	};
+	Team.prototype.getUserSquad = function (user) {
+		return this.users.has(user) ? this.users.get(user).squad : null;
+	};
+	Team.prototype.getSquads = function () {
+		return this.generator.getUsers();
+	};
+
+	Team.prototype.addUser = function (user, squadName) {
+		if (this.isBracketFrozen)
+			return 'BracketFrozen';
+
+		if (this.users.has(user))
+			return 'UserAlreadyAdded';
+
+		var squad = this.getSquad(squadName);
+		if (!squad)
+			return 'SquadNotAdded';
+		if (this.squadSize && squad.members.length >= this.squadSize)
+			return 'SquadFull';
+
+		squad.members.push(user);
+		this.users.set(user, {squad: squad});
+	};
+	Team.prototype.removeUser = function (user) {
+		if (this.isBracketFrozen)
+			return 'BracketFrozen';
+
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+
+		// The next player in line takes over as captain; an empty squad is gone
+		var squad = this.users.get(user).squad;
+		squad.members.splice(squad.members.indexOf(user), 1);
+		this.users.delete(user);
+		if (!squad.members.length)
+			this.removeSquad(squad);
+	};
+	Team.prototype.replaceUser = function (user, replacementUser) {
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+
+		if (this.users.has(replacementUser))
+			return 'UserAlreadyAdded';
+
+		// Rebuild the map so the replacement keeps the user's place in the signup order
+		var users = new Map();
+		this.users.forEach(function (data, key) {
+			users.set(key === user ? replacementUser : key, data);
+		});
+		this.users = users;
+
+		var squad = this.users.get(replacementUser).squad;
+		squad.members[squad.members.indexOf(user)] = replacementUser;
+
+		if (!this.isBracketFrozen)
+			return;
+		this.squadMatches.forEach(function (squadMatch) {
+			squadMatch.boards.forEach(function (board) {
+				var index = board.users.indexOf(user);
+				if (index >= 0)
+					board.users[index] = replacementUser;
+			});
+		});
+	};
+	Team.prototype.getUsers = function () {
+		var users = [];
+		this.users.forEach(function (value, key) {
+			users.push(key);
+		});
+		return users;
+	};
+
+	/**
+	 * The squads' standings, in whatever form the squad bracket's generator
+	 * gives them.
+	 */
+	Team.prototype.getBracketData = function () {
+		return this.generator.getBracketData();
+	};
+	Team.prototype.freezeBracket = function () {
+		this.isBracketFrozen = true;
+		this.users.forEach(function (data) {
+			data.isBusy = false;
+			data.isDisqualified = false;
+		});
+
+		this.squads.forEach(function (squad) {
+			if (!squad.members.length)
+				this.removeSquad(squad);
+		}, this);
+		this.generator.freezeBracket();
+		this.squadMatches = [];
+		this.startSquadMatches();
+	};
+
+	Team.prototype.getSquadMatch = function (squads) {
+		for (var m = 0; m < this.squadMatches.length; ++m) {
+			var squadMatch = this.squadMatches[m];
+			if (squadMatch.state === 'available' && squadMatch.squads[0] === squads[0] && squadMatch.squads[1] === squads[1])
+				return squadMatch;
+		}
+		return null;
+	};
+	/**
+	 * Sets up the battles of every squad match that has become available.
+	 * Returns true when the tournament is over.
+	 */
+	Team.prototype.startSquadMatches = function () {
+		var squadMatches = this.generator.getAvailableMatches();
+		for (var m = 0; m < squadMatches.length; ++m) {
+			if (this.getSquadMatch(squadMatches[m]))
+				continue;
+
+			var squadMatch = this.createSquadMatch(squadMatches[m]);
+			var isTournamentEnded = this.resolveSquadMatch(squadMatch);
+			if (isTournamentEnded)
+				return true;
+			// The squad bracket moved on, so there may be new matches
+			if (isTournamentEnded === false)
+				return this.startSquadMatches();
+		}
+	};
+	Team.prototype.createSquadMatch = function (squads) {
+		var boardCount = Math.min(squads[0].members.length, squads[1].members.length);
+		var squadMatch = {squads: squads, boards: [], state: 'available', score: [0, 0]};
+		for (var b = 0; b < boardCount; ++b)
+			squadMatch.boards.push({users: [squads[0].members[b], squads[1].members[b]], state: 'available'});
+		this.squadMatches.push(squadMatch);
+
+		squads.forEach(function (squad) {
+			squad.members.forEach(function (user) {
+				if (this.users.get(user).isDisqualified)
+					this.forfeitBoards(squadMatch, user);
+			}, this);
+		}, this);
+		return squadMatch;
+	};
+	Team.prototype.finishBoard = function (squadMatch, board, result, score) {
+		var virtualScore;
+		if (result === 'win')
+			virtualScore = [1, 0];
+		else if (result === 'loss')
+			virtualScore = [0, 1];
+		else
+			virtualScore = [0.5, 0.5];
+
+		board.state = 'finished';
+		board.result = result;
+		board.score = (score || virtualScore).slice(0);
+		squadMatch.score[0] += virtualScore[0];
+		squadMatch.score[1] += virtualScore[1];
+	};
+	Team.prototype.forfeitBoards = function (squadMatch, user) {
+		squadMatch.boards.forEach(function (board) {
+			if (board.state === 'available' && board.users.indexOf(user) >= 0)
+				this.finishBoard(squadMatch, board, board.users[0] === user ? 'loss' : 'win');
+		}, this);
+	};
+	/**
+	 * Decides the squad match once all of its battles are done. Returns
+	 * nothing if it isn't done yet, and otherwise whether that ended the
+	 * tournament.
+	 */
+	Team.prototype.resolveSquadMatch = function (squadMatch) {
+		var isFinished = squadMatch.boards.every(function (board) {
+			return board.state === 'finished';
+		});
+		if (!isFinished)
+			return;
+
+		var score = squadMatch.score;
+		var result;
+		if (score[0] !== score[1])
+			result = score[0] > score[1] ? 'win' : 'loss';
+		else if (this.generator.isDrawingSupported)
+			result = 'draw';
+		else
+			result = squadMatch.boards[0].result === 'loss' ? 'loss' : 'win';
+
+		squadMatch.state = 'finished';
+		squadMatch.result = result;
+		return this.generator.setMatchResult(squadMatch.squads, result, score.slice(0)) === true;
+	};
+
+	Team.prototype.disqualifyUser = function (user) {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+
+		this.users.get(user).isDisqualified = true;
+
+		// The user loses every battle they have left; their squad may still win without them
+		var isBracketChanged = false;
+		var squadMatches = this.squadMatches.filter(function (squadMatch) {
+			return squadMatch.state === 'available';
+		});
+		for (var m = 0; m < squadMatches.length; ++m) {
+			this.forfeitBoards(squadMatches[m], user);
+			var isTournamentEnded = this.resolveSquadMatch(squadMatches[m]);
+			if (isTournamentEnded)
+				return true;
+			if (isTournamentEnded === false)
+				isBracketChanged = true;
+		}
+		if (isBracketChanged)
+			return this.startSquadMatches();
+	};
+	Team.prototype.getUserBusy = function (user) {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+		return this.users.get(user).isBusy;
+	};
+	Team.prototype.setUserBusy = function (user, isBusy) {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		if (!this.users.has(user))
+			return 'UserNotAdded';
+		this.users.get(user).isBusy = isBusy;
+	};
+
+	Team.prototype.getAvailableMatches = function () {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		var matches = [];
+		this.squadMatches.forEach(function (squadMatch) {
+			if (squadMatch.state !== 'available')
+				return;
+			squadMatch.boards.forEach(function (board) {
+				if (board.state === 'available' &&
+					!this.users.get(board.users[0]).isBusy && !this.users.get(board.users[1]).isBusy)
+					matches.push(board.users.slice(0));
+			}, this);
+		}, this);
+		return matches;
+	};
+	Team.prototype.setMatchResult = function (match, result, score) {
+		if (!this.isBracketFrozen)
+			return 'BracketNotFrozen';
+
+		if (!(result in {win:1, loss:1, draw:1}))
+			return 'InvalidMatchResult';
+
+		if (!this.users.has(match[0]) || !this.users.has(match[1]))
+			return 'UserNotAdded';
+
+		var targetMatch = null;
+		var targetBoard = null;
+		this.squadMatches.forEach(function (squadMatch) {
+			if (squadMatch.state !== 'available')
+				return;
+			squadMatch.boards.forEach(function (board) {
+				if (board.state === 'available' && board.users[0] === match[0] && board.users[1] === match[1]) {
+					targetMatch = squadMatch;
+					targetBoard = board;
+				}
+			});
+		});
+		if (!targetBoard)
+			return 'InvalidMatch';
+
+		this.finishBoard(targetMatch, targetBoard, result, score);
+		var isTournamentEnded = this.resolveSquadMatch(targetMatch);
+		if (isTournamentEnded === false)
+			return this.startSquadMatches();
+		return isTournamentEnded;
+	};
+
+	/**
+	 * Ranks the squads, not their players.
+	 */
+	Team.prototype.getResults = function () {
+		return this.generator.getResults();
+	};
+
+	return Team;
+})();
+
+exports.Team = Team;
@@ -0,0 +1,169 @@
+/**
+ * Tournament history
+ *
+ * Every tournament that finishes is recorded in config/tourhistory.json with
+ * its room, format, type, participants, final bracket, winner, runner-up
+ * and how long it took. Only the last MAX_ENTRIES tournaments are kept.
+ *
+ * Team-locked tournaments also keep every player's locked team, which staff
+ * can look at once the tournament is over.
+ *
+ * @license MIT license
+ */
+
+var io = require('../io.js');
+
+const MAX_ENTRIES = 1000;
+
+// Tournaments that were running before a hotpatch keep using the old module, so the
+// new one shares its history and writer, or the two would overwrite each other and reuse ids
+var previousStore = global.Tournaments && Tournaments.history && Tournaments.history.store;
+var data, writeHistory;
+if (previousStore) {
+    data = previousStore.data;
+    writeHistory = previousStore.write;
+} else {
+    data = io.stdinJSON('tourhistory.json', {tournaments: [], lastId: 0});
+    writeHistory = io.stdoutJSON('tourhistory.json', function () {
+        return data;
+    });
+}
+
+/**
+ * Elimination results only name the winner, so the runner-up is whoever
+ * lost the final.
+ */
+function getRunnerUp(results, bracketData) {
+    if (results[0] && results[0][1]) return results[0][1];
+    if (results[1]) return results[1][0];
+    var finalMatch = bracketData.type === 'tree' && bracketData.rootNode;
+    if (!finalMatch || finalMatch.state !== 'finished') return null;
+    return finalMatch.children[finalMatch.result === 'loss' ? 0 : 1].team;
+}
+
+/**
+ * Records a finished tournament. `results` is the generator's results with
+ * the users already turned into names.
+ */
+function add(tournament, results, bracketData) {
+    var end = Date.now();
+    var entry = {
+        id: ++data.lastId,
+        room: tournament.room.id,
+        format: tournament.format,
+        generator: tournament.generator.name,
+        participants: tournament.generator.getUsers().map(function (user) {
+            return user.name;
+        }),
+        results: results,
+        bracketData: bracketData,
+        winner: results[0] ? results[0][0] : null,
+        runnerUp: getRunnerUp(results, bracketData),
+        start: tournament.startTime || tournament.createTime,
+        end: end
+    };
+    if (tournament.isTeamLocked) {
+        entry.teams = {};
+        tournament.generator.getUsers().forEach(function (user) {
+            if (tournament.lockedTeams[user.userid]) entry.teams[user.name] = tournament.lockedTeams[user.userid];
+        });
+    }
+    data.tournaments.push(entry);
+    if (data.tournaments.length > MAX_ENTRIES) data.tournaments.splice(0, data.tournaments.length - MAX_ENTRIES);
+    writeHistory();
+    return entry;
+}
+
+function get(id) {
+    id = Number(id);
+    for (var i = data.tournaments.length - 1; i >= 0; i--) {
+        if (data.tournaments[i].id === id) return data.tournaments[i];
+    }
+}
+
+/**
+ * Returns the most recent tournaments, newest first. The filter can be a
+ * room, a format or a user who played in the tournament.
+ */
+function search(filter, limit) {
+    filter = toId(filter);
+    return data.tournaments.filter(function (entry) {
+        if (!filter || entry.room === filter || entry.format === filter) return true;
+        return entry.participants.some(function (name) {
+            return toId(name) === filter;
+        });
+    }).slice(-limit).reverse();
+}
+
+function describe(entry) {
+    var text = '#' + entry.id + ' ' + (Tools.getFormat(entry.format).name || entry.format) + ' ' + entry.generator + ' in ' + entry.room +
+        ' (' + new Date(entry.end).toDateString() + ', ' + entry.participants.length + ' players, ' + Math.max(entry.end - entry.start, 0).duration() + ')';
+    if (entry.winner) text += ' - won by ' + entry.winner + (entry.runnerUp ? ', runner-up ' + entry.runnerUp : '');
+    return text;
+}
+
+function renderMatch(node) {
+    var teams = node.children.map(function (child) {
+        return Tools.escapeHTML(child.team || '?');
+    });
+    if (node.state !== 'finished') return teams.join(' vs. ');
+    var score = node.score ? ' (' + node.score.join('-') + ')' : '';
+    return node.result === 'loss' ? '<b>' + teams[1] + '</b> beat ' + teams[0] + score : '<b>' + teams[0] + '</b> beat ' + teams[1] + score;
+}
+
+/**
+ * Renders the bracket data of a finished tournament as HTML. Tree brackets
+ * are listed round by round, table brackets are shown as a results table.
+ */
+function renderBracket(bracketData) {
+    if (bracketData.type === 'tree') {
+        var rounds = [];
+        var addMatches = function (node, depth) {
+            if (!node.children.length) return;
+            if (!rounds[depth]) rounds[depth] = [];
+            rounds[depth].push(renderMatch(node));
+            node.children.forEach(function (child) {
+                addMatches(child, depth + 1);
+            });
+        };
+        if (bracketData.rootNode) addMatches(bracketData.rootNode, 0);
+        return rounds.reverse().map(function (matches, i) {
+            return '<b>Round ' + (i + 1) + ':</b> ' + matches.join(', ');
+        }).join('<br />');
+    }
+
+    var cells = {win: 'W', loss: 'L', draw: 'D'};
+    var html = '<table border="1" cellspacing="0" cellpadding="3"><tr><th></th>';
+    html += bracketData.tableHeaders.cols.map(function (name) {
+        return '<th>' + Tools.escapeHTML(name) + '</th>';
+    }).join('') + (bracketData.scores ? '<th>Score</th>' : '') + '</tr>';
+    bracketData.tableContents.forEach(function (row, r) {
+        html += '<tr><th>' + Tools.escapeHTML(bracketData.tableHeaders.rows[r]) + '</th>' + row.map(function (cell) {
+            return '<td>' + (cell && cell.state === 'finished' ? cells[cell.result] : '') + '</td>';
+        }).join('') + (bracketData.scores ? '<td>' + bracketData.scores[r] + '</td>' : '') + '</tr>';
+    });
+    return html + '</table>';
+}
+
+/**
+ * Renders the locked teams of a tournament as HTML, one player per line.
+ */
+function renderTeams(entry) {
+    return Object.keys(entry.teams).map(function (name) {
+        var sets = Tools.fastUnpackTeam(entry.teams[name]) || [];
+        return '<b>' + Tools.escapeHTML(name) + ':</b> ' + sets.map(function (set) {
+            var moves = set.moves.map(function (move) {
+                return Tools.getMove(move).name || move;
+            });
+            return Tools.escapeHTML(set.species + (set.item ? ' @ ' + Tools.getItem(set.item).name : '') + ' (' + set.ability + '): ' + moves.join(' / '));
+        }).join('; ');
+    }).join('<br />');
+}
+
+exports.store = {data: data, write: writeHistory};
+exports.add = add;
+exports.get = get;
+exports.search = search;
+exports.describe = describe;
+exports.renderBracket = renderBracket;
+exports.renderTeams = renderTeams;
@@ -0,0 +1,281 @@
+/**
+ * Tournament ratings
+ *
+ * Every finished tournament battle updates the Elo rating of both players
+ * (see Core.calculateElo) on the ladder of the tournament's format.
+ * Players start at 1000, and for their first few games on a ladder they are
+ * provisional: their rating moves with a bigger K-factor so it gets to where
+ * it belongs quickly.
+ *
+ * The overall ladder isn't stored on its own; it is derived from all the
+ * format ladders, with every format's rating counting as much as the number
+ * of games played in it. Ratings from before there were format ladders are
+ * kept as the "overall" format and count towards the overall ladder too.
+ *
+ * Ratings, games played and tournaments won are stored in
+ * config/tourratings.json. On the first start, the old elo.csv and
+ * tourWins.csv are imported.
+ *
+ * Ratings run in seasons. When a season ends its final standings are
+ * archived to config/seasons/, the top three of the overall ladder are
+ * crowned as the season's champions and every rating is either reset or
+ * decayed towards the starting rating.
+ *
+ * @license MIT license
+ */
+
+var fs = require('fs');
+var io = require('../io.js');
+
+const DEFAULT_RATING = 1000;
+const OVERALL = 'overall';
+const SEASONS_DIR = 'config/seasons/';
+
+// Tournaments that were running before a hotpatch keep using the old module, so the
+// new one shares its data and writer instead of loading a second copy of the file
+var previousStore = global.Tournaments && Tournaments.ratings && Tournaments.ratings.store;
+var data, isImported, writeRatings;
+if (previousStore) {
+    data = previousStore.data;
+    isImported = true;
+    writeRatings = previousStore.write;
+} else {
+    data = io.stdinJSON('tourratings.json', null);
+    isImported = !!data;
+    if (!data) data = {formats: {}, settings: {}, season: null, seasons: []};
+    if (!data.seasons) data.seasons = [];
+    if (data.users) {
+        // ratings from before there were format ladders
+        data.formats = {};
+        data.formats[OVERALL] = data.users;
+        delete data.users;
+    }
+    data.settings = Object.merge({kFactor: 32, provisionalKFactor: 64, provisionalGames: 10, seasonDecay: 50}, data.settings);
+
+    writeRatings = io.stdoutJSON('tourratings.json', function () {
+        return data;
+    });
+}
+
+function newEntry() {
+    return {rating: DEFAULT_RATING, games: 0, wins: 0};
+}
+
+/**
+ * Combines the user's ratings on every format into one overall entry.
+ */
+function getOverall(userid) {
+    var entry = newEntry();
+    var ratingSum = 0;
+    var weight = 0;
+    for (var format in data.formats) {
+        var formatEntry = data.formats[format][userid];
+        if (!formatEntry) continue;
+        entry.games += formatEntry.games;
+        entry.wins += formatEntry.wins;
+        ratingSum += formatEntry.rating * Math.max(formatEntry.games, 1);
+        weight += Math.max(formatEntry.games, 1);
+    }
+    if (weight) entry.rating = ratingSum / weight;
+    return entry;
+}
+
+function get(userid, format) {
+    userid = toId(userid);
+    format = toId(format) || OVERALL;
+    if (format === OVERALL) return getOverall(userid);
+    return (data.formats[format] && data.formats[format][userid]) || newEntry();
+}
+
+function getEntry(userid, format) {
+    userid = toId(userid);
+    format = toId(format) || OVERALL;
+    if (!data.formats[format]) data.formats[format] = {};
+    if (!data.formats[format][userid]) data.formats[format][userid] = newEntry();
+    return data.formats[format][userid];
+}
+
+function isProvisional(entry) {
+    return entry.games < data.settings.provisionalGames;
+}
+
+function getKFactor(entry) {
+    return isProvisional(entry) ? data.settings.provisionalKFactor : data.settings.kFactor;
+}
+
+/**
+ * Updates both players' ratings on the format's ladder after a battle.
+ * Returns the rating changes as [winner's change, loser's change].
+ */
+function recordMatch(format, winnerid, loserid) {
+    var winner = getEntry(winnerid, format);
+    var loser = getEntry(loserid, format);
+    var winnerRating = Core.calculateElo(winner.rating, loser.rating, getKFactor(winner))[0];
+    var loserRating = Core.calculateElo(winner.rating, loser.rating, getKFactor(loser))[1];
+    var changes = [winnerRating - winner.rating, loserRating - loser.rating];
+
+    winner.rating = winnerRating;
+    loser.rating = loserRating;
+    winner.games++;
+    loser.games++;
+    writeRatings();
+    return changes;
+}
+
+/**
+ * Records a tournament win, plus an optional flat rating bonus
+ * (the /cp winner and runnerup bonuses).
+ */
+function recordPlacing(format, userid, isWinner, bonus) {
+    var entry = getEntry(userid, format);
+    if (isWinner) entry.wins++;
+    if (bonus) entry.rating += bonus;
+    writeRatings();
+    return entry;
+}
+
+/**
+ * Returns every player rated on the format (or overall), best first.
+ */
+function getLadder(format) {
+    format = toId(format) || OVERALL;
+    var userids = {};
+    if (format === OVERALL) {
+        for (var i in data.formats) Object.merge(userids, data.formats[i]);
+    } else {
+        userids = data.formats[format] || {};
+    }
+
+    return Object.keys(userids).map(function (userid) {
+        var entry = get(userid, format);
+        return {userid: userid, rating: entry.rating, games: entry.games, wins: entry.wins, isProvisional: isProvisional(entry)};
+    }).sort(function (a, b) {
+        return b.rating - a.rating;
+    });
+}
+
+/**
+ * Returns the formats that have a ladder, not counting the overall one.
+ */
+function getFormats() {
+    return Object.keys(data.formats).filter(function (format) {
+        return format !== OVERALL;
+    });
+}
+
+function getSettings() {
+    return data.settings;
+}
+
+function setSetting(key, value) {
+    if (!(key in data.settings)) return 'InvalidSetting';
+    if (!(value >= 0) || Math.floor(value) !== value) return 'InvalidAmount';
+    data.settings[key] = value;
+    writeRatings();
+    return value;
+}
+
+function getSeason() {
+    return data.season;
+}
+
+function startSeason() {
+    if (data.season) return 'SeasonStarted';
+    data.season = {number: data.seasons.length + 1, start: Date.now()};
+    writeRatings();
+    return data.season;
+}
+
+/**
+ * Ends the season: archives the standings of every ladder, crowns the
+ * top three of the overall ladder and then either resets every rating
+ * (if isReset) or decays it by the seasonDecay setting (in percent)
+ * towards the starting rating. Returns the archived season.
+ */
+function endSeason(isReset) {
+    if (!data.season) return 'NoSeason';
+    var end = Date.now();
+    var standings = {};
+    standings[OVERALL] = getLadder(OVERALL);
+    getFormats().forEach(function (format) {
+        standings[format] = getLadder(format);
+    });
+
+    var file = SEASONS_DIR + 'season-' + data.season.number + '-' + new Date(end).toJSON().slice(0, 10) + '.json';
+    try {
+        fs.mkdirSync(SEASONS_DIR);
+    } catch (e) {} // directory already exists
+    fs.writeFileSync(file, JSON.stringify({number: data.season.number, start: data.season.start, end: end, standings: standings}));
+
+    var season = {
+        number: data.season.number,
+        start: data.season.start,
+        end: end,
+        file: file,
+        champions: standings[OVERALL].slice(0, 3)
+    };
+    data.seasons.push(season);
+    data.season = null;
+
+    if (isReset) {
+        data.formats = {};
+    } else {
+        var decay = data.settings.seasonDecay / 100;
+        for (var format in data.formats) {
+            for (var userid in data.formats[format]) {
+                var entry = data.formats[format][userid];
+                entry.rating = DEFAULT_RATING + (entry.rating - DEFAULT_RATING) * (1 - decay);
+                entry.wins = 0;
+            }
+        }
+    }
+    writeRatings();
+    return season;
+}
+
+function getSeasonHistory(limit) {
+    return data.seasons.slice(-limit).reverse();
+}
+
+function readColumn(file, callback) {
+    try {
+        var rows = fs.readFileSync('config/' + file, 'utf8').split('\n');
+    } catch (e) {
+        return; // file doesn't exist [yet]
+    }
+    for (var i = 0; i < rows.length; i++) {
+        var parts = rows[i].split(',');
+        var userid = toId(parts[0]);
+        var value = Number(parts[1]);
+        if (userid && !isNaN(value)) callback(userid, value);
+    }
+}
+
+if (!isImported) {
+    readColumn('elo.csv', function (userid, rating) {
+        var entry = getEntry(userid, OVERALL);
+        entry.rating = rating || DEFAULT_RATING;
+        // these players have been around already, so they aren't provisional
+        entry.games = data.settings.provisionalGames;
+    });
+    readColumn('tourWins.csv', function (userid, wins) {
+        getEntry(userid, OVERALL).wins = wins;
+    });
+    writeRatings();
+}
+
+exports.store = {data: data, write: writeRatings};
+exports.DEFAULT_RATING = DEFAULT_RATING;
+exports.OVERALL = OVERALL;
+exports.get = get;
+exports.isProvisional = isProvisional;
+exports.recordMatch = recordMatch;
+exports.recordPlacing = recordPlacing;
+exports.getLadder = getLadder;
+exports.getFormats = getFormats;
+exports.getSettings = getSettings;
+exports.setSetting = setSetting;
+exports.getSeason = getSeason;
+exports.startSeason = startSeason;
+exports.endSeason = endSeason;
+exports.getSeasonHistory = getSeasonHistory;
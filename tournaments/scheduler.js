@@ -0,0 +1,264 @@
+/**
+ * Tournament scheduler
+ *
+ * Creates tournaments at set times, either once (at the next "HH:MM" or on
+ * a "YYYY-MM-DD HH:MM") or over and over with a cron-like spec of five
+ * fields: minute, hour, day of the month, month and day of the week, e.g.
+ * "0 18 * * 1-5" for 6 PM every weekday or "0,30 * * * *" for every half
+ * hour. Times are in the server's time zone.
+ *
+ * Rooms are told Config.tourSchedule.announce minutes before a scheduled
+ * tournament opens its signups, and a room can only have
+ * Config.tourSchedule.roomLimit tournaments scheduled at once.
+ *
+ * A scheduled tournament can be given a number of minutes of signups, after
+ * which it is started on its own, or ended if too few players joined.
+ * Otherwise staff start it by hand.
+ *
+ * The schedule is kept in config/tourschedule.json, so it survives restarts.
+ *
+ * @license MIT license
+ */
+
+var io = require('../io.js');
+
+// how often the schedule is checked
+const CHECK_INTERVAL = 30 * 1000;
+// a tournament that was due while the server was down still runs if it is
+// at most this late; otherwise it is skipped
+const MISSED_GRACE = 10 * 60 * 1000;
+const CRON_FIELDS = [
+    {name: 'minute', min: 0, max: 59},
+    {name: 'hour', min: 0, max: 23},
+    {name: 'day', min: 1, max: 31},
+    {name: 'month', min: 1, max: 12},
+    {name: 'weekday', min: 0, max: 7}
+];
+
+var data = io.stdinJSON('tourschedule.json', {entries: [], lastId: 0});
+// tournaments waiting for their signups to end, as {room, createTime, time}
+if (!data.starts) data.starts = [];
+
+var writeSchedule = io.stdoutJSON('tourschedule.json', function () {
+    return data;
+});
+
+function getSettings() {
+    return Object.merge({announce: 5, roomLimit: 5}, Config.tourSchedule || {});
+}
+
+/**
+ * Turns one field of a cron spec into a map of the values it allows, or
+ * returns null if the field isn't valid.
+ */
+function parseCronField(text, field) {
+    var values = {};
+    var isValid = text.split(',').every(function (part) {
+        var match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) return false;
+        var start = match[1] === '*' ? field.min : Number(match[2]);
+        var end = match[1] === '*' ? field.max : Number(match[3] || (match[4] ? field.max : match[2]));
+        var step = Number(match[4] || 1);
+        if (start < field.min || end > field.max || start > end || !step) return false;
+        for (var i = start; i <= end; i += step) values[i] = true;
+        return true;
+    });
+    if (!isValid) return null;
+    if (field.name === 'weekday' && values[7]) values[0] = true;
+    return values;
+}
+
+function parseCron(spec) {
+    var parts = spec.split(' ');
+    if (parts.length !== CRON_FIELDS.length) return null;
+    var cron = {};
+    for (var i = 0; i < CRON_FIELDS.length; i++) {
+        cron[CRON_FIELDS[i].name] = parseCronField(parts[i], CRON_FIELDS[i]);
+        if (!cron[CRON_FIELDS[i].name]) return null;
+    }
+    // like cron, if both days are restricted a day matching either will do
+    cron.isEitherDay = parts[2] !== '*' && parts[4] !== '*';
+    return cron;
+}
+
+/**
+ * Finds the first minute after the given time that matches the cron spec,
+ * looking at most a year ahead.
+ */
+function getNextCronTime(cron, after) {
+    var date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    var limit = after + 366 * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+        var isDay = cron.isEitherDay ? cron.day[date.getDate()] || cron.weekday[date.getDay()] : cron.day[date.getDate()] && cron.weekday[date.getDay()];
+        if (!cron.month[date.getMonth() + 1]) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!isDay) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!cron.hour[date.getHours()]) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!cron.minute[date.getMinutes()]) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date.getTime();
+        }
+    }
+    return 0;
+}
+
+/**
+ * Works out when a spec runs next. Returns 0 if it never will.
+ */
+function getNextTime(spec, after) {
+    var cron = parseCron(spec);
+    if (cron) return getNextCronTime(cron, after);
+
+    var match = /^(?:(\d{4})-(\d{1,2})-(\d{1,2}) )?(\d{1,2}):(\d{2})$/.exec(spec);
+    if (!match || Number(match[4]) > 23 || Number(match[5]) > 59) return 0;
+    var date = new Date(after);
+    if (match[1]) date.setFullYear(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    date.setHours(Number(match[4]), Number(match[5]), 0, 0);
+    if (date.getTime() > after) return date.getTime();
+    return match[1] ? 0 : date.setDate(date.getDate() + 1);
+}
+
+function getEntries(roomid) {
+    return data.entries.filter(function (entry) {
+        return !roomid || entry.room === roomid;
+    });
+}
+
+/**
+ * Schedules a tournament. The format and type are expected to be valid
+ * already; the type may be followed by the generator's arguments. Signups
+ * is how many minutes the tournament waits before it starts on its own, or
+ * 0 to leave starting it to staff.
+ */
+function add(roomid, format, type, spec, actor, signups) {
+    spec = spec.trim().replace(/ +/g, ' ');
+    var next = getNextTime(spec, Date.now());
+    if (!next) return 'InvalidTime';
+    signups = signups || 0;
+    if (isNaN(signups) || signups < 0 || Math.floor(signups) !== signups) return 'InvalidSignups';
+    if (getEntries(roomid).length >= getSettings().roomLimit) return 'RoomLimitReached';
+
+    var entry = {
+        id: ++data.lastId,
+        room: roomid,
+        format: format,
+        type: type,
+        spec: spec,
+        isRecurring: !!parseCron(spec),
+        next: next,
+        isAnnounced: false,
+        signups: signups,
+        createdBy: toId(actor)
+    };
+    data.entries.push(entry);
+    writeSchedule();
+    return entry;
+}
+
+function remove(id) {
+    id = Number(id);
+    for (var i = 0; i < data.entries.length; i++) {
+        if (data.entries[i].id === id) {
+            var entry = data.entries.splice(i, 1)[0];
+            writeSchedule();
+            return entry;
+        }
+    }
+    return 'EntryNotFound';
+}
+
+function describe(entry) {
+    var format = Tools.getFormat(entry.format).name || entry.format;
+    return '#' + entry.id + ' ' + format + ' ' + entry.type + ' in ' + entry.room + ' - ' + (entry.isRecurring ? 'repeats (' + entry.spec + '), ' : '') +
+        (entry.signups ? 'starts after ' + entry.signups + ' minutes of signups, ' : '') + 'next on ' + new Date(entry.next).toString() + ' (in ' + Math.max(entry.next - Date.now(), 0).duration() + ')';
+}
+
+function startTournament(entry) {
+    var room = Rooms.get(entry.room);
+    if (!room) return;
+    var args = entry.type.split(' ');
+    var type = args.shift();
+    var output = {
+        sendReply: function (message) {
+            room.add('|raw|<i>The scheduled tournament could not be created: ' + Tools.escapeHTML(message) + '</i>');
+        }
+    };
+    var tournament = Tournaments.createTournament(room, entry.format, type, Config.istournamentsrated, args, output);
+    if (tournament && entry.signups) {
+        room.add('|raw|<i>The tournament will start in ' + entry.signups + ' minute' + (entry.signups === 1 ? '' : 's') + '.</i>');
+        data.starts.push({room: room.id, createTime: tournament.createTime, time: Date.now() + entry.signups * 60 * 1000});
+    }
+}
+
+/**
+ * Starts a tournament whose signups are over, or ends it if not enough
+ * players joined. Tournaments that were ended or started by hand are left
+ * alone.
+ */
+function endSignups(start) {
+    var tournament = Tournaments.get(start.room);
+    if (!tournament || tournament.createTime !== start.createTime || tournament.isTournamentStarted) return;
+    var output = {sendReply: function () {}};
+    tournament.startTournament(output);
+    if (!tournament.isTournamentStarted) {
+        tournament.room.add('|raw|<i>Not enough players joined the scheduled tournament, so it was ended.</i>');
+        Tournaments.deleteTournament(tournament.room.id, output);
+    }
+}
+
+function check() {
+    var now = Date.now();
+    var announceTime = getSettings().announce * 60 * 1000;
+    var isChanged = false;
+
+    data.starts.slice(0).forEach(function (start) {
+        if (now < start.time) return;
+        data.starts.splice(data.starts.indexOf(start), 1);
+        endSignups(start);
+        isChanged = true;
+    });
+    data.entries.slice(0).forEach(function (entry) {
+        var room = Rooms.get(entry.room);
+        if (!entry.isAnnounced && now < entry.next && now >= entry.next - announceTime) {
+            if (room) room.addRaw('<div class="broadcast-blue"><b>A scheduled ' + Tools.escapeHTML(Tools.getFormat(entry.format).name || entry.format) + ' ' + Tools.escapeHTML(entry.type) + ' tournament will open its signups in ' + (entry.next - now).duration() + '!</b></div>');
+            entry.isAnnounced = true;
+            isChanged = true;
+        }
+        if (now < entry.next) return;
+
+        if (now - entry.next < MISSED_GRACE) startTournament(entry);
+        if (entry.isRecurring) {
+            entry.next = getNextTime(entry.spec, now);
+            entry.isAnnounced = false;
+        }
+        if (!entry.isRecurring || !entry.next) data.entries.splice(data.entries.indexOf(entry), 1);
+        isChanged = true;
+    });
+    if (isChanged) writeSchedule();
+}
+
+var checkTimer = setInterval(check, CHECK_INTERVAL);
+
+function stop() {
+    clearInterval(checkTimer);
+}
+
+// After a hotpatch the old scheduler must stop, or every tournament would be created twice
+if (global.Tournaments && Tournaments.scheduler) Tournaments.scheduler.stop();
+
+exports.getSettings = getSettings;
+exports.getNextTime = getNextTime;
+exports.getEntries = getEntries;
+exports.add = add;
+exports.remove = remove;
+exports.describe = describe;
+exports.check = check;
+exports.stop = stop;
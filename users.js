@@ -830,6 +830,11 @@ var User = (function () {
 				if (this.named) user.prevNames[this.userid] = this.name;
 				this.destroy();
 				Rooms.global.checkAutojoin(user);
+				Tournaments.onUserLogin(user);
+				if (authenticated) {
+					Inventory.applyPerks(user);
+					Daily.onLogin(user);
+				}
 				return true;
 			}
 
@@ -839,6 +844,11 @@ var User = (function () {
 			if (avatar) this.avatar = avatar;
 			if (this.forceRename(name, authenticated)) {
 				Rooms.global.checkAutojoin(this);
+				Tournaments.onUserLogin(this);
+				if (authenticated) {
+					Inventory.applyPerks(this);
+					Daily.onLogin(this);
+				}
 				return true;
 			}
 			return false;
@@ -1158,8 +1168,9 @@ var User = (function () {
 			delete this.roomCount[room.id];
 		}
 	};
-	User.prototype.prepBattle = function (formatid, type, connection, callback) {
+	User.prototype.prepBattle = function (formatid, type, connection, callback, skipValidation) {
 		// all validation for a battle goes through here
+		// skipValidation is for teams that were already validated, such as locked tournament teams
 		if (!connection) connection = this;
 		if (!type) type = 'challenge';
 
@@ -1184,6 +1195,10 @@ var User = (function () {
 			setImmediate(callback.bind(null, false));
 			return;
 		}
+		if (skipValidation) {
+			setImmediate(callback.bind(null, true));
+			return;
+		}
 		TeamValidator.validateTeam(formatid, this.team, this.finishPrepBattle.bind(this, connection, callback));
 	};
 	User.prototype.finishPrepBattle = function (connection, callback, success, details) {
@@ -1213,7 +1228,7 @@ var User = (function () {
 			challengeTo: challengeTo
 		}));
 	};
-	User.prototype.makeChallenge = function (user, format/*, isPrivate*/) {
+	User.prototype.makeChallenge = function (user, format, wager/*, isPrivate*/) {
 		user = getUser(user);
 		if (!user || this.challengeTo) {
 			return false;
@@ -1232,7 +1247,8 @@ var User = (function () {
 			to: user.userid,
 			format: '' + (format || ''),
 			//isPrivate: !!isPrivate, // currently unused
-			team: this.team
+			team: this.team,
+			wager: wager || 0
 		};
 		this.lastChallenge = time;
 		this.challengeTo = challenge;
@@ -1273,7 +1289,16 @@ var User = (function () {
 			}
 			return false;
 		}
-		Rooms.global.startBattle(this, user, user.challengeTo.format, false, this.team, user.challengeTo.team);
+		var wager = user.challengeTo.wager;
+		if (wager && (Economy.get(this.userid) < wager || Economy.get(user.userid) < wager)) {
+			this.popup("You and " + user.name + " both need " + wager + " bucks to accept this challenge.");
+			return false;
+		}
+		var room = Rooms.global.startBattle(this, user, user.challengeTo.format, false, this.team, user.challengeTo.team);
+		if (room && wager && typeof Economy.escrowWager(room.id, user.userid, this.userid, wager) !== 'string') {
+			room.wager = wager;
+			room.add('|raw|<strong>' + Tools.escapeHTML(user.name) + ' and ' + Tools.escapeHTML(this.name) + ' have each put up ' + wager + ' ' + Economy.bucks(wager) + '. The winner takes it all!</strong>');
+		}
 		delete this.challengesFrom[user.userid];
 		user.challengeTo = null;
 		this.updateChallenges();